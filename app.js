@@ -3,7 +3,7 @@
  * TTS Demo App for Ontime
  * 
  * This demo app allows you to configure and monitor custom fields with Text-to-Speech.
- * You can select which fields to monitor, set thresholds, and choose voices.
+ * You can select which fields to monitor, set callout points, and choose voices.
  */
 
 // Configuration
@@ -11,23 +11,184 @@ const isSecure = window.location.protocol === 'https:';
 const stageHash = getStageHash();
 const baseUrl = `${window.location.protocol}//${window.location.host}${stageHash}`;
 const socketUrl = `${isSecure ? 'wss' : 'ws'}://${window.location.host}${stageHash}/ws`;
+const urlParams = new URLSearchParams(window.location.search);
+const isKiosk = urlParams.get('kiosk') === '1'; // status only view for unattended playout machines
+const authCloseCodes = [1008, 4001, 4401, 4403]; // WebSocket close codes Ontime and proxies use to reject a session
+
+// Callout lists offered in the field configuration
+const calloutPresets = {
+  'Last 10 seconds': '10-1',
+  'Broadcast': '300, 120, 60, 30, 10, 5-1',
+  'Minutes': '300, 240, 180, 120, 60',
+  'Minutes and final 10': '300, 240, 180, 120, 60, 30, 10-1',
+  'Half minutes': '120, 90, 60, 30',
+};
+const reconnectDelay = { base: 1000, max: 30000 }; // ms, doubled on every failed attempt
+const maxCalloutRange = 3600; // Cap on the number of points a single range may expand to
+const speechPriorities = { 1: 'Low', 2: 'Normal', 3: 'High', 4: 'Critical' };
+const mainTimerKey = '__timer';
+// Sources provided by Ontime itself, monitored alongside custom fields
+const builtInSources = {
+  [mainTimerKey]: { label: 'Main timer', colour: '#2b5abc', type: 'timer' },
+};
+const timerPhases = { warning: 'Warning', danger: 'Danger', overtime: 'Overtime' };
+// Runtime transitions that can be announced, see settings.lifecycle
+const lifecycleTransitions = {
+  now: 'Now playing',
+  next: 'Up next',
+  play: 'Play',
+  pause: 'Pause',
+  roll: 'Roll',
+  stop: 'Stop',
+};
+// Ontime messages that can be read aloud, see settings.messages
+const messageTypes = { timer: 'Timer message', external: 'External message' };
+// How {duration} phrases a number of seconds, see formatDuration
+const durationStyles = { clock: 'Minutes and seconds (1 minute 30)', seconds: 'Total seconds (90 seconds)' };
+// Offered until the speech engines report their own languages
+const speechLanguages = {
+  'en-US': 'English (US)',
+  'en-GB': 'English (UK)',
+  'es-ES': 'Spanish (Spain)',
+  'es-MX': 'Spanish (Mexico)',
+  'fr-FR': 'French (France)',
+  'de-DE': 'German (Germany)',
+  'it-IT': 'Italian (Italy)',
+  'pt-BR': 'Portuguese (Brazil)',
+  'pt-PT': 'Portuguese (Portugal)',
+};
+// Synthesised sounds, notes of { frequency (Hz), duration and gap (seconds at 1x speed) }
+const earconSounds = {
+  tick: [{ frequency: 1000, duration: 0.08 }],
+  warning: [{ frequency: 660, duration: 0.15, gap: 0.1 }, { frequency: 660, duration: 0.15 }],
+  danger: [{ frequency: 880, duration: 0.1, gap: 0.07 }, { frequency: 880, duration: 0.1, gap: 0.07 }, { frequency: 880, duration: 0.1 }],
+  zero: [{ frequency: 1000, duration: 0.6 }],
+  chime: [{ frequency: 880, duration: 0.12 }, { frequency: 1320, duration: 0.2 }],
+};
+const earconLevel = 0.4; // peak gain of an earcon note, below speech so both can be heard together
+const visualModes = { off: 'Off', on: 'With speech', only: 'Visual only' };
+const visualStyles = { flash: 'Flash', wash: 'Colour wash' };
+const hotkeyFieldCount = 9; // fields 1-9 of the configuration can be spoken or toggled by hotkey
+// Operator actions that can be bound to a key, see runHotkeyAction
+const hotkeyActions = {
+  mute: 'Mute / unmute',
+  repeat: 'Repeat last announcement',
+  panic: 'Stop all audio',
+  ...Object.fromEntries(Array.from({ length: hotkeyFieldCount }, (_, i) => [`say-${i + 1}`, `Say field ${i + 1} now`])),
+  ...Object.fromEntries(Array.from({ length: hotkeyFieldCount }, (_, i) => [`toggle-${i + 1}`, `Toggle field ${i + 1}`])),
+};
+// Which events a field is checked in, see isEventInScope
+const fieldScopes = { current: 'Current event', next: 'Next event', selected: 'Selected events' };
+// Checks a field passes before it is announced, in order, see evaluateFieldRules
+// test returns true to pass or the reason the field is skipped
+const fieldRules = [
+  { name: 'enabled', test: ({ config }) => config.enabled || 'field is disabled' },
+  {
+    name: 'scope',
+    test: ({ config, eventType, event }) => isEventInScope(config, eventType, event) || `${eventType} event is outside the field's scope`,
+  },
+  { name: 'condition', test: (check) => testCondition(check) },
+];
+// Outcomes of a trigger decision recorded in the announcement history
+const historyOutcomes = {
+  spoken: 'Spoken',
+  interrupted: 'Interrupted',
+  busy: 'Skipped, queue busy',
+  superseded: 'Replaced by newer value',
+  muted: 'Muted',
+  'not-due': 'No callout due',
+  'parse-error': 'Parse failure',
+  rule: 'Skipped by rule',
+  visual: 'Shown visually only',
+  error: 'Engine error',
+};
+const maxHistoryEntries = 2000;
+const fieldModes = {
+  countdown: 'Countdown',
+  change: 'Announce on change',
+  start: 'Announce on event start',
+};
+const recordingSchema = 'ontime-tts-recording';
+const recordingSchemaVersion = 1;
+const profileSchema = 'ontime-tts-profile';
+const profileSchemaVersion = 1;
+
+// Speech engines, each speaks a phrase and resolves once it has been spoken
+const ttsEngines = {
+  webspeech: { label: 'Web Speech', speak: speakWithWebSpeech, cancel: cancelWebSpeech },
+  http: { label: 'HTTP', speak: speakWithHttp, cancel: cancelHttp },
+  clips: { label: 'Clip pack', speak: speakWithClips, cancel: cancelClips },
+};
 
 // State
 let websocket = null;
+let socketConnected = false;
+let reconnectAttempts = 0; // failed attempts since the last successful connection
+let reconnectTimeout = null;
+let lastRuntimeDataAt = 0; // time the last runtime data arrived, for the stale data watchdog
+let staleWarning = false; // whether the stale data warning is showing
+let authToken = urlParams.get('token') || sessionStorage.getItem('ontime-tts-token') || ''; // session token of a protected Ontime
+let authRequired = false; // Ontime rejected the session, retrying stops until signed in
 let localData = {};
 let customFields = {};
-let monitoredFields = new Map(); // fieldKey -> { enabled, threshold, voice, language }
-let previousValues = new Map(); // fieldKey -> previous value
+let unitFormats = new Map(); // language-unit -> Intl.NumberFormat, see formatUnit
+let parsedConditions = new Map(); // condition source -> parsed expression
+let pronunciationPatterns = new Map(); // pattern key -> RegExp, null when invalid, see compilePronunciation
+let announcementHistory = []; // trigger decisions, oldest first, see logDecision
+let historyCounter = 0;
+let historyRenderPending = false; // a history render is scheduled for the next frame
+let notDueLogged = new Set(); // eventId-fieldKey keys whose "no callout due" is recorded until the next callout
+let ruleSkipsLogged = new Map(); // eventId-fieldKey -> reason of the "skipped by rule" recorded until the field passes
+let sessionRecording = null; // { startedAt, customFields, messages } while recording runtime data
+let replay = null; // { recording, index, position, resumedAt, speed, playing, seeking, timeout } while replaying a recording
+let rundown = []; // events of the rundown in order, see loadRundown
+let monitoredFields = new Map(); // fieldKey -> config, see createDefaultFieldConfig
+let missingFields = new Map(); // fieldKey -> config of profile fields Ontime does not currently report, kept until removed
+let loggedSkips = new Map(); // eventType-fieldKey -> reason and value of the skip last logged, see logSkip
+let previousValues = new Map(); // fieldKey -> Map of eventId-fieldKey (and its -phase) -> previous value
+let firedCallouts = new Map(); // eventId-fieldKey -> Set of callout points already spoken
+let firedEarcons = new Map(); // eventId-fieldKey -> Set of warning, danger and zero tones already played
+let announcedKeys = new Set(); // eventId-fieldKey combinations that had their first announcement
+let startedEvents = new Map(); // fieldKey -> id of the current event last seen by an announce-on-start field
+let lifecycleState = {}; // last seen event ids and playback, kept across reconnects
+let driftState = {}; // { level, announcedLevel, announcedAt, timeout } of the schedule drift monitor
+let messageState = {}; // message type -> { text, visible, repeats, timeout }
+let visualCueTimeout = null; // hides the visual cue overlay
+let pendingAnnouncements = new Map(); // debounce key -> { fieldKey, timeout } of a text announcement waiting for edits to settle
 let speechSynthesis = null;
-let isSpeaking = false;
+let speechQueue = []; // pending utterances ordered by priority, see enqueueSpeech
+let currentSpeech = null; // utterance being spoken, null when idle
+let lastSpoken = null; // last utterance that started speaking, for the repeat hotkey
+let httpRequest = null; // AbortController of the pending HTTP engine request
+let httpVoices = []; // voices reported by the HTTP engine endpoint
+let audioContext = null;
+let masterGain = null; // master volume node every Web Audio source plays through
+let activeSources = new Set(); // audio buffer sources and earcon oscillators currently playing
+let clipDatabase = null; // promise of the IndexedDB connection
+let clipPacks = new Map(); // packId -> { id, name, clips: { token -> Blob } }
+let decodedClips = new Map(); // packId -> Map of token -> AudioBuffer
+let selectedClipPack = ''; // pack shown in the clip pack editor
+let clipGeneration = 0; // bumped on cancel to stop a partially played clip announcement
+let clipRecorder = null; // MediaRecorder while a clip is being recorded
+let settings = createDefaultSettings();
+let profiles = {}; // profile name -> { fields, speed, enabled, settings }
+let activeProfile = 'Default';
+let profileFieldsRestored = false; // field configs can only be applied once custom fields are loaded
+let audioUnlocked = false; // browsers block audio until the page receives a user gesture
 let ttsSpeed = 1.1; // Default reading speed
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
   speechSynthesis = window.speechSynthesis;
+  document.body.classList.toggle('kiosk', isKiosk);
+  loadProfiles();
   loadCustomFields();
+  loadRundown();
   connectSocket();
+  setInterval(checkStaleData, 1000);
   setupEventListeners();
+  loadClipPacks();
+  updateAudioStatus();
 });
 
 /**
@@ -51,26 +212,33 @@ async function loadCustomFields() {
     const apiUrl = `${baseUrl}/data/custom-fields`;
     console.log('Fetching custom fields from:', apiUrl);
     
-    const response = await fetch(apiUrl, {
+    const response = await fetch(withAuth(apiUrl), {
       credentials: 'include', // Include cookies for authentication
     });
     
     console.log('Response status:', response.status, response.statusText);
     
-    if (response.ok) {
-      customFields = await response.json();
-      console.log('Loaded custom fields:', customFields);
-      console.log('Number of fields:', Object.keys(customFields).length);
+    if (isAuthFailure(response)) {
+      document.getElementById('fields-container').innerHTML =
+        '<p class="info-text">This Ontime is password protected. Sign in to load custom fields.</p>';
+      requireAuthentication();
+    } else if (response.ok) {
+      const fields = await response.json();
+      console.log('Loaded custom fields:', fields);
+      console.log('Number of fields:', Object.keys(fields).length);
       
-      if (Object.keys(customFields).length === 0) {
-        document.getElementById('fields-container').innerHTML = 
-          '<p class="info-text">No custom fields found. Create some in Ontime settings first.</p>';
-        populateAddFieldDropdown(); // Still populate dropdown (will be empty)
-        return;
+      if (Object.keys(fields).length === 0) {
+        console.log('No custom fields found, only the built-in Ontime sources can be monitored');
       }
       
-      renderFieldsConfiguration();
-      populateAddFieldDropdown(); // Ensure dropdown is populated after rendering
+      if (sessionRecording) {
+        sessionRecording.customFields = fields;
+      }
+      // Re-fetching unchanged definitions must not re-render fields that are being edited
+      if (profileFieldsRestored && JSON.stringify(fields) === JSON.stringify(customFields)) {
+        return;
+      }
+      applyCustomFields(fields);
     } else {
       const errorText = await response.text();
       console.error('Failed to load custom fields. Status:', response.status, 'Response:', errorText);
@@ -84,23 +252,59 @@ async function loadCustomFields() {
   }
 }
 
+/**
+ * Use a set of custom field definitions, from the API or a recording
+ */
+function applyCustomFields(fields) {
+  customFields = fields;
+  loadSavedConfiguration(); // Restore the active profile now that field definitions are known
+  populateAddFieldDropdown(); // Ensure dropdown is populated after rendering
+}
+
 /**
  * Connect to WebSocket
  */
 function connectSocket() {
+  if (replay || authRequired) {
+    return;
+  }
+  let opened = false;
   try {
-    websocket = new WebSocket(socketUrl);
+    websocket = new WebSocket(withAuth(socketUrl));
 
     websocket.onopen = () => {
+      opened = true;
+      const isReconnect = lastRuntimeDataAt > 0;
+      socketConnected = true;
+      reconnectAttempts = 0;
+      lastRuntimeDataAt = Date.now();
       updateConnectionStatus(true);
       console.log('WebSocket connected');
+      if (isReconnect) {
+        resyncAfterReconnect();
+      }
     };
 
-    websocket.onclose = () => {
+    websocket.onclose = (event) => {
+      socketConnected = false;
       updateConnectionStatus(false);
-      console.log('WebSocket disconnected');
-      // Attempt reconnect after 2 seconds
-      setTimeout(connectSocket, 2000);
+      console.log('WebSocket disconnected', event?.code ?? '');
+      if (replay || authRequired) {
+        return;
+      }
+      if (authCloseCodes.includes(event?.code)) {
+        requireAuthentication();
+        return;
+      }
+      scheduleReconnect();
+      // Browsers do not expose why a handshake failed, ask the REST API whether the session is the problem
+      if (!opened) {
+        checkAuthorisation().then((result) => {
+          if (result === 'rejected') {
+            requireAuthentication();
+          }
+        });
+      }
     };
 
     websocket.onerror = (error) => {
@@ -110,7 +314,20 @@ function connectSocket() {
 
     websocket.onmessage = (event) => {
       const { tag, payload } = JSON.parse(event.data);
+      if (tag === 'refetch' || tag === 'ontime-refetch') {
+        if (!payload?.target || /rundown/i.test(payload.target)) {
+          loadRundown();
+        }
+        if (!payload?.target || /custom/i.test(payload.target)) {
+          loadCustomFields();
+        }
+      }
       if (tag === 'runtime-data') {
+        lastRuntimeDataAt = Date.now();
+        if (staleWarning) {
+          setStaleWarning(false);
+        }
+        recordMessage(tag, payload);
         handleOntimePayload(payload);
         // Try to get custom fields from runtime data if API call failed
         if (Object.keys(customFields).length === 0 && payload.eventNow) {
@@ -122,6 +339,168 @@ function connectSocket() {
   } catch (error) {
     console.error('Failed to connect WebSocket:', error);
     updateConnectionStatus(false);
+    scheduleReconnect();
+  }
+}
+
+/**
+ * Add the session token to an Ontime URL, if one is known
+ */
+function withAuth(url) {
+  if (!authToken) {
+    return url;
+  }
+  const authUrl = new URL(url, window.location.href);
+  authUrl.searchParams.set('token', authToken);
+  return authUrl.toString();
+}
+
+/**
+ * Check whether a response means the session was rejected
+ */
+function isAuthFailure(response) {
+  return response.status === 401 || response.status === 403;
+}
+
+/**
+ * Ask the REST API whether the current session is accepted: 'authorised', 'rejected' or 'unreachable'
+ * A network error is not an auth failure, the reconnect loop keeps trying
+ */
+async function checkAuthorisation() {
+  try {
+    const response = await fetch(withAuth(`${baseUrl}/data/custom-fields`), { credentials: 'include' });
+    return isAuthFailure(response) ? 'rejected' : 'authorised';
+  } catch (error) {
+    return 'unreachable';
+  }
+}
+
+/**
+ * Stop retrying and ask to sign in
+ */
+function requireAuthentication() {
+  if (authRequired) {
+    return;
+  }
+  console.log('[TTS] Ontime rejected the session, sign in required');
+  authRequired = true;
+  clearTimeout(reconnectTimeout);
+  if (websocket) {
+    websocket.close();
+  }
+  updateConnectionStatus(false);
+  document.getElementById('auth-error').textContent = authToken ? 'The session has expired, sign in again.' : '';
+  document.getElementById('auth-overlay').hidden = false;
+  document.getElementById('auth-password').focus();
+}
+
+/**
+ * Sign in with the Ontime password, or a session token, and reconnect
+ * The password is only ever posted to the login page, a token is sent in request URLs
+ */
+async function authenticate({ password, token }) {
+  const errorEl = document.getElementById('auth-error');
+  errorEl.textContent = 'Signing in...';
+
+  const previousToken = authToken;
+  if (password) {
+    // Ontime's login page sets a session cookie that the REST API and WebSocket both accept
+    try {
+      await fetch(`${baseUrl}/login`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ password }),
+      });
+    } catch (error) {
+      console.error('Login request failed:', error);
+    }
+  } else {
+    // A session token copied from another client
+    authToken = token;
+  }
+
+  const result = await checkAuthorisation();
+  if (result !== 'authorised') {
+    authToken = previousToken;
+    if (result === 'unreachable') {
+      errorEl.textContent = 'Ontime is unreachable, check the connection and try again.';
+    } else {
+      errorEl.textContent = password ? 'Wrong password.' : 'Invalid session token.';
+    }
+    return;
+  }
+  if (!password) {
+    sessionStorage.setItem('ontime-tts-token', authToken);
+  }
+
+  console.log('[TTS] Signed in to Ontime');
+  authRequired = false;
+  reconnectAttempts = 0;
+  errorEl.textContent = '';
+  document.getElementById('auth-overlay').hidden = true;
+  document.getElementById('auth-password').value = '';
+  document.getElementById('auth-token').value = '';
+  updateConnectionStatus(false);
+  loadCustomFields();
+  loadRundown();
+  connectSocket();
+}
+
+/**
+ * Try to connect again, waiting exponentially longer after each failed attempt
+ * Jitter spreads the attempts of several clients when Ontime restarts
+ */
+function scheduleReconnect() {
+  clearTimeout(reconnectTimeout);
+  const delay = Math.min(reconnectDelay.max, reconnectDelay.base * 2 ** reconnectAttempts);
+  const jittered = Math.round(delay / 2 + Math.random() * delay / 2);
+  reconnectAttempts += 1;
+  console.log(`[TTS] Reconnecting in ${jittered}ms (attempt ${reconnectAttempts})`);
+  reconnectTimeout = setTimeout(connectSocket, jittered);
+}
+
+/**
+ * Start from fresh data after a reconnect
+ * Values are forgotten so the first payload is not mistaken for a change, while callouts already spoken
+ * and the lifecycle state are kept so nothing is announced twice
+ */
+function resyncAfterReconnect() {
+  console.log('[TTS] Reconnected, resynchronising');
+  localData = {};
+  previousValues = new Map();
+  cancelPendingAnnouncements();
+  updateCurrentValues();
+  loadCustomFields();
+  loadRundown();
+}
+
+/**
+ * Warn when the connection is open but no runtime data arrived for the stale timeout
+ * Ontime sends the clock every second, so silence means the server or network stalled
+ */
+function checkStaleData() {
+  const isStale = socketConnected && !replay && settings.staleTimeout > 0 &&
+    Date.now() - lastRuntimeDataAt > settings.staleTimeout * 1000;
+  if (isStale !== staleWarning) {
+    setStaleWarning(isStale);
+  }
+}
+
+/**
+ * Show or clear the stale data warning, speaking it when enabled
+ */
+function setStaleWarning(isStale) {
+  staleWarning = isStale;
+  updateConnectionStatus(socketConnected);
+  if (!isStale) {
+    console.log('[TTS] Runtime data is flowing again');
+    return;
+  }
+  const seconds = Math.round((Date.now() - lastRuntimeDataAt) / 1000);
+  console.log(`[TTS] No runtime data for ${seconds}s`);
+  if (settings.staleSpeak && document.getElementById('tts-enabled').checked) {
+    speakValue('stale', `No data from Ontime for ${seconds} seconds`, { ...createDefaultFieldConfig(), priority: 4 });
   }
 }
 
@@ -130,7 +509,18 @@ function connectSocket() {
  */
 function updateConnectionStatus(connected) {
   const statusEl = document.getElementById('connection-status');
-  if (connected) {
+  statusEl.title = '';
+  if (replay) {
+    statusEl.textContent = 'Replay';
+    statusEl.className = 'status-badge replay';
+  } else if (authRequired) {
+    statusEl.textContent = 'Sign in required';
+    statusEl.className = 'status-badge auth';
+  } else if (connected && staleWarning) {
+    statusEl.textContent = 'No data';
+    statusEl.className = 'status-badge stale';
+    statusEl.title = 'Connected, but Ontime has not sent runtime data recently. Announcements may be out of date.';
+  } else if (connected) {
     statusEl.textContent = 'Connected';
     statusEl.className = 'status-badge connected';
   } else {
@@ -139,6 +529,245 @@ function updateConnectionStatus(connected) {
   }
 }
 
+/**
+ * Forget everything learned from runtime data, so the next payload is treated as the first one
+ */
+function resetRuntimeState() {
+  localData = {};
+  previousValues = new Map();
+  firedCallouts = new Map();
+  firedEarcons = new Map();
+  notDueLogged = new Set();
+  ruleSkipsLogged = new Map();
+  loggedSkips = new Map();
+  announcedKeys = new Set();
+  startedEvents = new Map();
+  lifecycleState = {};
+  clearTimeout(driftState.timeout);
+  driftState = {};
+  Object.values(messageState).forEach((state) => clearTimeout(state.timeout));
+  messageState = {};
+  cancelPendingAnnouncements();
+  updateCurrentValues();
+  updateMonitoringDisplay();
+}
+
+/**
+ * Start capturing runtime data messages and the custom field definitions
+ */
+function startRecording() {
+  sessionRecording = { startedAt: Date.now(), customFields: { ...customFields }, messages: [] };
+  updateRecorderControls();
+}
+
+/**
+ * Stop capturing and download the recording
+ */
+function stopRecording() {
+  const { startedAt, customFields: fields, messages } = sessionRecording;
+  sessionRecording = null;
+  const data = {
+    schema: recordingSchema,
+    version: recordingSchemaVersion,
+    recordedAt: new Date(startedAt).toISOString(),
+    customFields: fields,
+    messages,
+  };
+  const stamp = data.recordedAt.replace(/[:.]/g, '-');
+  downloadFile(`ontime-tts-recording-${stamp}.json`, JSON.stringify(data), 'application/json');
+  updateRecorderControls();
+}
+
+/**
+ * Add a WebSocket message to the recording, if one is running
+ */
+function recordMessage(tag, payload) {
+  if (sessionRecording) {
+    sessionRecording.messages.push({ t: Date.now() - sessionRecording.startedAt, tag, payload });
+    updateRecorderControls();
+  }
+}
+
+/**
+ * Load a recording file and replay it instead of the live connection
+ */
+function loadRecording(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    showNotice(`Recording is not valid JSON: ${error.message}`, 'error');
+    return;
+  }
+  if (data?.schema !== recordingSchema || !Array.isArray(data.messages) || data.messages.some((message) => typeof message?.t !== 'number')) {
+    showNotice('This file is not an Ontime TTS recording', 'error');
+    return;
+  }
+  if (data.version > recordingSchemaVersion) {
+    showNotice(`Recording version ${data.version} is newer than this app supports, replaying what is understood`, 'warning');
+  }
+  startReplay(data);
+}
+
+/**
+ * Disconnect from Ontime and feed a recording through the trigger logic
+ */
+function startReplay(recording) {
+  if (sessionRecording) {
+    stopRecording();
+  }
+  clearTimeout(replay?.timeout);
+  replay = { recording, index: 0, position: 0, resumedAt: Date.now(), speed: Number(document.getElementById('replay-speed').value) || 1, playing: true, seeking: false, timeout: null };
+  if (websocket) {
+    websocket.close();
+  }
+  clearSpeechQueue();
+  resetRuntimeState();
+  applyCustomFields(recording.customFields || {});
+  updateConnectionStatus(false);
+  console.log(`[TTS] Replaying ${recording.messages.length} messages recorded at ${recording.recordedAt}`);
+  scheduleReplay();
+  updateReplayControls();
+}
+
+/**
+ * Leave replay mode and reconnect to Ontime
+ */
+function stopReplay() {
+  clearTimeout(replay.timeout);
+  replay = null;
+  clearSpeechQueue();
+  resetRuntimeState();
+  updateConnectionStatus(false);
+  updateReplayControls();
+  loadCustomFields();
+  connectSocket();
+}
+
+/**
+ * Get the replay position in recording time
+ */
+function getReplayPosition() {
+  return replay.playing ? replay.position + (Date.now() - replay.resumedAt) * replay.speed : replay.position;
+}
+
+/**
+ * Wait for the next recorded message and feed it, at the replay speed
+ */
+function scheduleReplay() {
+  clearTimeout(replay.timeout);
+  const next = replay.recording.messages[replay.index];
+  if (!replay.playing) {
+    return;
+  }
+  if (!next) {
+    replay.position = getReplayPosition();
+    replay.playing = false;
+    updateReplayControls();
+    return;
+  }
+  replay.timeout = setTimeout(() => {
+    replay.index += 1;
+    feedReplayMessage(next);
+    updateReplayControls();
+    scheduleReplay();
+  }, Math.max(0, (next.t - getReplayPosition()) / replay.speed));
+}
+
+/**
+ * Handle a recorded message the way a live one is handled
+ */
+function feedReplayMessage(message) {
+  if (message.tag === 'runtime-data') {
+    handleOntimePayload(message.payload);
+  }
+}
+
+/**
+ * Pause or resume the replay, starting over once it has ended
+ */
+function toggleReplay() {
+  if (replay.playing) {
+    replay.position = getReplayPosition();
+    replay.playing = false;
+    clearTimeout(replay.timeout);
+  } else {
+    if (replay.index >= replay.recording.messages.length) {
+      seekReplay(0);
+    }
+    replay.resumedAt = Date.now();
+    replay.playing = true;
+    scheduleReplay();
+  }
+  updateReplayControls();
+}
+
+/**
+ * Change the replay speed, keeping the current position
+ */
+function setReplaySpeed(speed) {
+  if (!replay) {
+    return;
+  }
+  replay.position = getReplayPosition();
+  replay.resumedAt = Date.now();
+  replay.speed = speed;
+  scheduleReplay();
+}
+
+/**
+ * Jump to a position of the recording
+ * Messages up to the position are fed silently, so callouts and changes are known as they would be live
+ */
+function seekReplay(position) {
+  clearTimeout(replay.timeout);
+  clearSpeechQueue();
+  resetRuntimeState();
+  const { messages } = replay.recording;
+  replay.seeking = true;
+  replay.index = 0;
+  while (replay.index < messages.length && messages[replay.index].t <= position) {
+    feedReplayMessage(messages[replay.index]);
+    replay.index += 1;
+  }
+  replay.seeking = false;
+  // Text announcements still waiting for their debounce belong to the skipped part
+  cancelPendingAnnouncements();
+  replay.position = position;
+  replay.resumedAt = Date.now();
+  scheduleReplay();
+  updateReplayControls();
+}
+
+/**
+ * Update the recorder buttons and message count
+ */
+function updateRecorderControls() {
+  document.getElementById('record-btn').textContent = sessionRecording ? 'Stop & Download' : 'Start Recording';
+  document.getElementById('record-btn').disabled = Boolean(replay);
+  document.getElementById('record-status').textContent = sessionRecording
+    ? `Recording, ${sessionRecording.messages.length} messages`
+    : '';
+}
+
+/**
+ * Update the replay buttons and position slider
+ */
+function updateReplayControls() {
+  const seek = document.getElementById('replay-seek');
+  const messages = replay?.recording.messages || [];
+  const duration = messages.length > 0 ? messages[messages.length - 1].t : 0;
+  const position = replay ? Math.min(getReplayPosition(), duration) : 0;
+  document.getElementById('replay-play-btn').disabled = !replay;
+  document.getElementById('replay-play-btn').textContent = replay?.playing ? 'Pause' : 'Play';
+  document.getElementById('replay-stop-btn').disabled = !replay;
+  seek.disabled = !replay;
+  seek.max = duration;
+  seek.value = position;
+  document.getElementById('replay-position').textContent = `${formatClock(position / 1000)} / ${formatClock(duration / 1000)}`;
+  updateRecorderControls();
+}
+
 /**
  * Handle Ontime payload updates
  */
@@ -149,6 +778,15 @@ function handleOntimePayload(payload) {
   // Update current values display
   if ('eventNow' in payload || 'eventNext' in payload) {
     updateCurrentValues();
+    highlightRundownRow();
+  }
+
+  checkLifecycle(payload);
+  if ('runtime' in payload) {
+    checkDrift();
+  }
+  if ('message' in payload || 'timerMessage' in payload || 'externalMessage' in payload) {
+    checkMessages();
   }
 
   // Check monitored fields and trigger TTS if needed
@@ -181,7 +819,7 @@ function updateCurrentValues() {
         html += `
           <div class="value-item">
             <span class="value-item-label">${field.label}:</span>
-            <span class="value-item-value">${value || '-'}</span>
+            <span class="value-item-value">${formatValueWithParsed(value)}</span>
           </div>
         `;
       }
@@ -197,7 +835,7 @@ function updateCurrentValues() {
         html += `
           <div class="value-item">
             <span class="value-item-label">${field.label}:</span>
-            <span class="value-item-value">${value || '-'}</span>
+            <span class="value-item-value">${formatValueWithParsed(value)}</span>
           </div>
         `;
       }
@@ -208,39 +846,81 @@ function updateCurrentValues() {
 }
 
 /**
- * Parse time string to seconds
+ * Format a raw value for display with how it was parsed next to it
+ */
+function formatValueWithParsed(value) {
+  if (!value) {
+    return '-';
+  }
+  return `${escapeAttribute(value)} <span class="value-item-parsed">&rarr; ${describeParsedValue(value)}</span>`;
+}
+
+/**
+ * Parse time string to seconds, negative values are overtime
  */
 function parseTimeToSeconds(timeStr) {
+  return parseTimeValue(timeStr)?.seconds ?? null;
+}
+
+/**
+ * Parse a time value and report which format it was read as
+ * Accepts an optional sign with h:mm:ss, mm:ss, plain seconds or units, e.g.
+ * "-00:05", "00:00:10.500", "90", "1m 30s", "1h", "+02:00"
+ */
+function parseTimeValue(timeStr) {
   if (!timeStr || typeof timeStr !== 'string') {
     return null;
   }
 
-  const trimmed = timeStr.trim();
-  const timePattern = /^(\d{1,2}):(\d{2}):(\d{2})$|^(\d{1,2}):(\d{2})$/;
-  const match = trimmed.match(timePattern);
-
-  if (!match) {
+  const signed = timeStr.trim().match(/^([+\-\u2212]?)\s*(.+)$/);
+  if (!signed) {
     return null;
   }
+  const sign = signed[1] === '-' || signed[1] === '\u2212' ? -1 : 1;
+  const body = signed[2];
+  let match;
 
-  // hh:mm:ss format
-  if (match[1] !== undefined) {
-    const hours = parseInt(match[1], 10);
-    const minutes = parseInt(match[2], 10);
-    const seconds = parseInt(match[3], 10);
-    return hours * 3600 + minutes * 60 + seconds;
+  // hh:mm:ss format, optionally with fractions of a second
+  if ((match = body.match(/^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/))) {
+    const seconds = parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+    return { seconds: sign * seconds, format: 'hh:mm:ss' };
   }
 
   // mm:ss format
-  if (match[4] !== undefined) {
-    const minutes = parseInt(match[4], 10);
-    const seconds = parseInt(match[5], 10);
-    return minutes * 60 + seconds;
+  if ((match = body.match(/^(\d+):(\d{2}(?:\.\d+)?)$/))) {
+    const seconds = parseInt(match[1], 10) * 60 + parseFloat(match[2]);
+    return { seconds: sign * seconds, format: 'mm:ss' };
+  }
+
+  // Plain seconds
+  if (/^\d+(?:\.\d+)?$/.test(body)) {
+    return { seconds: sign * parseFloat(body), format: 'seconds' };
+  }
+
+  // Units such as 1h 2m 3s or 1 min 30 sec
+  match = body.match(
+    /^(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+(?:\.\d+)?)\s*m(?:in(?:ute)?s?)?)?\s*(?:(\d+(?:\.\d+)?)\s*s(?:ec(?:ond)?s?)?)?$/i
+  );
+  if (match && (match[1] || match[2] || match[3])) {
+    const [hours, minutes, seconds] = match.slice(1).map((part) => parseFloat(part || '0'));
+    return { seconds: sign * (hours * 3600 + minutes * 60 + seconds), format: 'units' };
   }
 
   return null;
 }
 
+/**
+ * Describe how a value was interpreted, e.g. "90s" or "over by 5s"
+ */
+function describeParsedValue(value) {
+  const parsed = parseTimeValue(value);
+  if (!parsed) {
+    return 'not a time';
+  }
+  const seconds = Math.round(parsed.seconds * 1000) / 1000;
+  return seconds < 0 ? `over by ${-seconds}s` : `${seconds}s`;
+}
+
 /**
  * Check monitored fields and trigger TTS
  */
@@ -258,6 +938,10 @@ function checkMonitoredFields() {
     checkEventFields(eventNext.custom, 'next');
   }
 
+  if (monitoredFields.has(mainTimerKey)) {
+    checkMainTimer();
+  }
+
   updateMonitoringDisplay();
 }
 
@@ -273,8 +957,24 @@ function checkEventFields(customValues, eventType) {
       return;
     }
 
-    const config = monitoredFields.get(fieldKey);
-    if (!config.enabled) {
+    const config = getEventFieldConfig(fieldKey, event);
+    const verdict = evaluateFieldRules({ fieldKey, config, eventType, event, value: fieldValue });
+    const skipKey = `${eventType}-${fieldKey}`;
+    if (!verdict.pass) {
+      if (verdict.rule !== 'enabled') {
+        logSkip(skipKey, fieldKey, verdict.reason, fieldValue);
+      }
+      if (verdict.rule === 'condition') {
+        logRuleSkip(`${eventId}-${fieldKey}`, { fieldKey, eventId, rawValue: fieldValue, detail: verdict.reason });
+      }
+      return;
+    }
+    loggedSkips.delete(skipKey);
+    ruleSkipsLogged.delete(`${eventId}-${fieldKey}`);
+
+    if (config.mode === 'start') {
+      // A new current event is the trigger, the value may come from the next event
+      checkEventStart(fieldKey, fieldValue, config, localData.eventNow?.id || eventId);
       return;
     }
 
@@ -282,15 +982,24 @@ function checkEventFields(customValues, eventType) {
     const uniqueKey = `${eventId}-${fieldKey}`;
     
     // Only process if value changed
-    const previousValue = previousValues.get(uniqueKey);
+    const previousValue = getPreviousValue(fieldKey, uniqueKey);
     if (previousValue === fieldValue) {
       return;
     }
 
-    previousValues.set(uniqueKey, fieldValue);
+    setPreviousValue(fieldKey, uniqueKey, fieldValue);
+
+    if (config.mode === 'change') {
+      // The first value seen for an event is not a change
+      if (previousValue !== undefined) {
+        scheduleAnnouncement(uniqueKey, fieldKey, fieldValue, config, eventId);
+      }
+      return;
+    }
 
     if (!fieldValue || typeof fieldValue !== 'string') {
       console.log(`[TTS] Field ${fieldKey} has no valid value:`, fieldValue);
+      logDecision('parse-error', { fieldKey, eventId, rawValue: fieldValue, detail: 'empty value' });
       return;
     }
 
@@ -298,456 +1007,4215 @@ function checkEventFields(customValues, eventType) {
     const seconds = parseTimeToSeconds(fieldValue);
     if (seconds === null) {
       console.log(`[TTS] Field ${fieldKey} value "${fieldValue}" could not be parsed as time`);
+      logDecision('parse-error', { fieldKey, eventId, rawValue: fieldValue, detail: 'not a time value' });
       return;
     }
 
-    console.log(`[TTS] Field ${fieldKey} parsed: "${fieldValue}" = ${seconds} seconds (threshold: ${config.threshold})`);
-
-    // Check threshold
-    if (seconds > config.threshold) {
-      console.log(`[TTS] Field ${fieldKey} value ${seconds}s is above threshold ${config.threshold}s`);
-      return;
-    }
-
-    // Trigger TTS
-    console.log(`[TTS] Triggering speech for field ${fieldKey}: ${seconds} seconds`);
-    speakValue(fieldKey, seconds, config);
+    console.log(`[TTS] Field ${fieldKey} parsed: "${fieldValue}" = ${seconds} seconds (callouts: ${config.callouts})`);
+    checkCountdown(fieldKey, fieldValue, seconds, config, event, uniqueKey);
   });
 }
 
 /**
- * Speak a value using TTS
+ * Announce a countdown value if it reached one of the callout points
  */
-function speakValue(fieldKey, seconds, config) {
-  if (!speechSynthesis) {
-    console.error('[TTS] Speech synthesis not available');
+function checkCountdown(fieldKey, rawValue, seconds, config, event, uniqueKey) {
+  playCountdownEarcons(fieldKey, seconds, config, event, uniqueKey);
+
+  const isOvertime = seconds < 0;
+  if (isOvertime && config.overtime === 'ignore') {
+    console.log(`[TTS] Field ${fieldKey} is in overtime, ignoring`);
+    logNotDue(`${uniqueKey}-overtime`, { fieldKey, eventId: event?.id, rawValue, detail: 'overtime is ignored' });
     return;
   }
 
-  if (isSpeaking) {
-    console.log('[TTS] Already speaking, skipping');
+  // Check callout points, every point passed since the last value counts as fired
+  // In overtime the same points are counted upwards, stored as negative points
+  const fired = firedCallouts.get(uniqueKey) || new Set();
+  const points = parseCallouts(config.callouts);
+  const duePoints = points.filter((point) => seconds <= point && !fired.has(point));
+  const dueOvertimePoints = isOvertime
+    ? points.filter((point) => point > 0 && -seconds >= point && !fired.has(-point)).map((point) => -point)
+    : [];
+  duePoints.concat(dueOvertimePoints).forEach((point) => fired.add(point));
+  firedCallouts.set(uniqueKey, fired);
+  if ((isOvertime ? dueOvertimePoints : duePoints).length === 0) {
+    console.log(`[TTS] Field ${fieldKey} value ${seconds}s has no pending callout point`);
+    logNotDue(uniqueKey, { fieldKey, eventId: event?.id, rawValue, detail: `no callout point reached at ${seconds}s` });
     return;
   }
+  notDueLogged.delete(uniqueKey);
 
-  // Cancel any pending speech
-  if (speechSynthesis.speaking || speechSynthesis.pending) {
-    console.log('[TTS] Cancelling previous speech');
-    speechSynthesis.cancel();
+  // First announcement for this event uses the main template, later ticks the repeat template
+  const isFirst = !announcedKeys.has(uniqueKey);
+  announcedKeys.add(uniqueKey);
+  let template = isFirst ? config.template : config.repeatTemplate || config.template;
+  if (isOvertime && config.overtime === 'announce') {
+    template = config.overtimeTemplate;
   }
+  // The visual cue and the phrase show the same whole seconds, 10.5 remaining reads as 11 on both
+  const wholeSeconds = Math.ceil(seconds);
+  const text = renderPhrase(template, buildPhraseContext(fieldKey, event, rawValue, wholeSeconds));
 
-  setTimeout(() => {
-    // Double-check we're not speaking
-    if (isSpeaking) {
-      return;
-    }
+  // Trigger TTS
+  console.log(`[TTS] Triggering speech for field ${fieldKey}: ${seconds} seconds`);
+  const readout = Math.abs(wholeSeconds) < 60 ? `${wholeSeconds}` : formatClock(wholeSeconds);
+  announceFieldCue(fieldKey, text, config, uniqueKey, { eventId: event?.id, rawValue }, readout, true);
+}
 
-    isSpeaking = true;
-    console.log(`[TTS] Speaking: "${seconds}" (field: ${fieldKey}, lang: ${config.language || 'en-US'})`);
+/**
+ * Give a field's cue on its outputs from one trigger: the visual cue showing readout, and speech
+ * A countdown callout is only spoken when the field speaks callouts, other cues always are
+ */
+function announceFieldCue(fieldKey, text, config, valueKey, source, readout, callout = false) {
+  if (replay?.seeking) {
+    return;
+  }
+  if (config.visual !== 'off' && !config.muted) {
+    showVisualCue(fieldKey, readout, text);
+  }
+  if (config.visual === 'only') {
+    logDecision('visual', { fieldKey, ...source, text });
+    return;
+  }
+  if (callout && !config.earcons.speak) {
+    logDecision('muted', { fieldKey, ...source, text, detail: 'earcons only' });
+    return;
+  }
+  speakValue(fieldKey, text, config, valueKey, source);
+}
 
-    const utterance = new SpeechSynthesisUtterance(`${seconds}`);
-    utterance.lang = config.language || 'en-US';
-    utterance.rate = ttsSpeed;
+/**
+ * Show the visual cue overlay in the field's colour with a large readout of the value
+ */
+function showVisualCue(fieldKey, readout, text) {
+  const cue = document.getElementById('visual-cue');
+  const value = cue.querySelector('.visual-cue-value');
+  value.textContent = readout;
+  value.classList.toggle('long', `${readout}`.length > 5);
+  cue.querySelector('.visual-cue-label').textContent = `${getSourceLabel(fieldKey)}: ${text}`;
+  cue.style.setProperty('--cue-colour', getFieldDefinition(fieldKey)?.colour || '#2b5abc');
+  cue.style.setProperty('--cue-duration', `${settings.visualDuration}s`);
+  // Restart the animation for a cue following the previous one
+  cue.className = 'visual-cue';
+  void cue.offsetWidth;
+  cue.classList.add(settings.visualStyle);
+  cue.hidden = false;
 
-    // Set voice if available
-    if (config.voice) {
-      const voices = speechSynthesis.getVoices();
-      const voice = voices.find(v => v.voiceURI === config.voice || v.name === config.voice);
-      if (voice) {
-        utterance.voice = voice;
-        console.log(`[TTS] Using voice: ${voice.name}`);
-      } else {
-        console.log(`[TTS] Voice not found: ${config.voice}, using default`);
-      }
-    }
+  clearTimeout(visualCueTimeout);
+  visualCueTimeout = setTimeout(() => {
+    cue.hidden = true;
+  }, settings.visualDuration * 1000);
+}
 
-    utterance.onstart = () => {
-      console.log('[TTS] Speech started');
-    };
+/**
+ * Announce the main timer of Ontime at its callout points and when its phase changes
+ */
+function checkMainTimer() {
+  const event = localData.eventNow;
+  const config = getEventFieldConfig(mainTimerKey, event);
+  const timer = localData.timer;
+  if (!timer || typeof timer.current !== 'number') {
+    return;
+  }
+  const verdict = evaluateFieldRules({ fieldKey: mainTimerKey, config, eventType: 'current', event, value: formatClock(timer.current / 1000) });
+  if (!verdict.pass) {
+    return;
+  }
 
-    utterance.onend = () => {
-      console.log('[TTS] Speech ended');
-      isSpeaking = false;
-    };
+  const uniqueKey = `${event?.id || 'timer'}-${mainTimerKey}`;
 
-    utterance.onerror = (error) => {
-      console.error('[TTS] Speech error:', error);
-      isSpeaking = false;
-    };
+  // Warning, danger and overtime are announced as the timer enters them
+  const lastPhase = getPreviousValue(mainTimerKey, `${uniqueKey}-phase`);
+  setPreviousValue(mainTimerKey, `${uniqueKey}-phase`, timer.phase);
+  const phaseTemplate = config.phaseTemplates?.[timer.phase];
+  if (lastPhase !== undefined && lastPhase !== timer.phase && phaseTemplate) {
+    const seconds = timer.current / 1000;
+    const text = renderPhrase(phaseTemplate, buildPhraseContext(mainTimerKey, event, formatClock(seconds), seconds));
+    console.log(`[TTS] Main timer entered ${timer.phase}`);
+    announceFieldCue(mainTimerKey, text, config, `${uniqueKey}-phase`, { eventId: event?.id, rawValue: timer.phase }, formatClock(seconds));
+  }
 
-    try {
-      speechSynthesis.speak(utterance);
-    } catch (error) {
-      console.error('[TTS] Failed to speak:', error);
-      isSpeaking = false;
-    }
-  }, 100);
+  // The timer ticks in milliseconds, only whole second changes matter
+  const seconds = Math.ceil(timer.current / 1000);
+  if (getPreviousValue(mainTimerKey, uniqueKey) === seconds) {
+    return;
+  }
+  setPreviousValue(mainTimerKey, uniqueKey, seconds);
+  checkCountdown(mainTimerKey, formatClock(seconds), seconds, config, event, uniqueKey);
 }
 
 /**
- * Get available voices
+ * Log why a field is skipped when the reason or the value changes
+ * Runtime data arrives every second, a skip that holds would otherwise be logged on every payload
  */
-function getAvailableVoices() {
+function logSkip(skipKey, fieldKey, reason, value) {
+  const skip = `${reason}\n${value}`;
+  if (loggedSkips.get(skipKey) === skip) {
+    return;
+  }
+  loggedSkips.set(skipKey, skip);
+  console.log(`[TTS] Field ${fieldKey} skipped: ${reason}`);
+}
+
+/**
+ * Record a "no callout due" decision once per field and event until the next callout fires
+ * Countdowns tick every second, recording each tick would push every other decision out of the history
+ */
+function logNotDue(key, decision) {
+  if (notDueLogged.has(key)) {
+    return;
+  }
+  notDueLogged.add(key);
+  logDecision('not-due', decision);
+}
+
+/**
+ * Record a "skipped by rule" decision once per field, event and reason until the field passes
+ * Failed conditions hold across payloads, recording each one would push every other decision out of the history
+ */
+function logRuleSkip(key, decision) {
+  if (ruleSkipsLogged.get(key) === decision.detail) {
+    return;
+  }
+  ruleSkipsLogged.set(key, decision.detail);
+  logDecision('rule', decision);
+}
+
+/**
+ * Play the ticks and phase tones of a countdown value, unless the field is visual only
+ * A phase tone is played once per event and replaces the tick of the same second
+ */
+function playCountdownEarcons(fieldKey, seconds, config, event, uniqueKey) {
+  if (config.visual === 'only') {
+    return;
+  }
+  const { tickBelow, tones } = config.earcons;
+  if (tones) {
+    const phase = getCountdownPhase(fieldKey, seconds, event);
+    const played = firedEarcons.get(uniqueKey) || new Set();
+    firedEarcons.set(uniqueKey, played);
+    if (phase && !played.has(phase)) {
+      played.add(phase);
+      playEarcon(phase, config);
+      return;
+    }
+  }
+  if (tickBelow > 0 && seconds > 0 && seconds <= tickBelow) {
+    playEarcon('tick', config);
+  }
+}
+
+/**
+ * Get the phase a countdown value is in: 'zero', 'danger', 'warning' or null
+ * The main timer reports its phase, other fields use the warning and danger times of their event
+ */
+function getCountdownPhase(fieldKey, seconds, event) {
+  if (seconds <= 0) {
+    return 'zero';
+  }
+  if (fieldKey === mainTimerKey) {
+    return ['warning', 'danger'].includes(localData.timer?.phase) ? localData.timer.phase : null;
+  }
+  if (typeof event?.timeDanger === 'number' && seconds * 1000 <= event.timeDanger) {
+    return 'danger';
+  }
+  if (typeof event?.timeWarning === 'number' && seconds * 1000 <= event.timeWarning) {
+    return 'warning';
+  }
+  return null;
+}
+
+/**
+ * Get the last value seen of a field under a key, e.g. its event's uniqueKey
+ */
+function getPreviousValue(fieldKey, key) {
+  return previousValues.get(fieldKey)?.get(key);
+}
+
+/**
+ * Remember the last value seen of a field, grouped by field so removing it forgets all of them
+ */
+function setPreviousValue(fieldKey, key, value) {
+  if (!previousValues.has(fieldKey)) {
+    previousValues.set(fieldKey, new Map());
+  }
+  previousValues.get(fieldKey).set(key, value);
+}
+
+/**
+ * Format seconds as a clock value, e.g. "01:30" or "-00:05"
+ */
+function formatClock(seconds) {
+  const whole = Math.abs(Math.ceil(seconds));
+  const hours = Math.floor(whole / 3600);
+  const minutes = String(Math.floor((whole % 3600) / 60)).padStart(2, '0');
+  const secs = String(whole % 60).padStart(2, '0');
+  const sign = Math.ceil(seconds) < 0 ? '-' : '';
+  return hours > 0 ? `${sign}${hours}:${minutes}:${secs}` : `${sign}${minutes}:${secs}`;
+}
+
+/**
+ * Check whether a field applies to the current or next event
+ */
+function isEventInScope(config, eventType, event) {
+  if (config.scope === 'next') {
+    return eventType === 'next';
+  }
+  if (eventType !== 'current') {
+    return false;
+  }
+  return config.scope !== 'selected' || isEventSelected(config, event);
+}
+
+/**
+ * Check whether an event is one of the ids or cues selected for a field
+ */
+function isEventSelected(config, event) {
+  if (!event) {
+    return false;
+  }
+  const selection = config.events.split(',').map((entry) => entry.trim()).filter(Boolean);
+  return selection.includes(event.id) || (event.cue !== undefined && selection.includes(String(event.cue)));
+}
+
+/**
+ * Run the field rules, stopping at the first one that fails
+ * Returns { pass, rule, reason }
+ */
+function evaluateFieldRules(check) {
+  for (const rule of fieldRules) {
+    const result = rule.test(check);
+    if (result !== true) {
+      return { pass: false, rule: rule.name, reason: result };
+    }
+  }
+  return { pass: true, rule: null, reason: null };
+}
+
+/**
+ * Field rule: the field's condition holds for the event being checked
+ */
+function testCondition({ config, fieldKey, event, value }) {
+  if (!config.condition.trim()) {
+    return true;
+  }
+  try {
+    const expression = parseCondition(config.condition);
+    return Boolean(evaluateExpression(expression, buildRuleContext(fieldKey, event, value))) || `condition "${config.condition}" is false`;
+  } catch (error) {
+    return `condition error: ${error.message}`;
+  }
+}
+
+/**
+ * Build the values conditions can refer to
+ */
+function buildRuleContext(fieldKey, event, value) {
+  const describeEvent = (item) => ({
+    id: item?.id ?? null,
+    title: item?.title ?? '',
+    cue: item?.cue ?? '',
+    custom: { ...item?.custom },
+  });
+  const timer = localData.timer || {};
+  const offset = localData.runtime?.offset;
+  return {
+    ...describeEvent(event),
+    value: value ?? null,
+    seconds: typeof value === 'string' ? parseTimeToSeconds(value) : null,
+    field: fieldKey,
+    now: describeEvent(localData.eventNow),
+    next: describeEvent(localData.eventNext),
+    playback: timer.playback ?? localData.playback ?? '',
+    phase: timer.phase ?? '',
+    timer: typeof timer.current === 'number' ? timer.current / 1000 : null,
+    offset: typeof offset === 'number' ? -offset / 1000 : null, // seconds late, negative when early
+  };
+}
+
+/**
+ * Parse a condition, caching the result by its source
+ * Throws an Error describing the first problem found
+ */
+function parseCondition(source) {
+  if (!parsedConditions.has(source)) {
+    parsedConditions.set(source, parseExpression(tokenizeExpression(source)));
+  }
+  return parsedConditions.get(source);
+}
+
+/**
+ * Split a condition into tokens
+ * Supports numbers, 'strings', /regex/flags, names with dots and the operators == != < <= > >= ~ && || ! ( )
+ */
+function tokenizeExpression(source) {
+  const tokens = [];
+  let index = 0;
+  while (index < source.length) {
+    const rest = source.slice(index);
+    let match;
+    if ((match = rest.match(/^\s+/))) {
+      index += match[0].length;
+      continue;
+    }
+    if ((match = rest.match(/^-?\d+(\.\d+)?/))) {
+      tokens.push({ type: 'literal', value: Number(match[0]), index });
+    } else if ((match = rest.match(/^(['"])((?:\\.|(?!\1).)*)\1/))) {
+      tokens.push({ type: 'literal', value: match[2].replace(/\\(.)/g, '$1'), index });
+    } else if ((match = rest.match(/^\/((?:\\.|[^/\\])+)\/([imsu]*)/))) {
+      let regex;
+      try {
+        regex = new RegExp(match[1], match[2]);
+      } catch (error) {
+        throw new Error(`invalid regular expression at ${index + 1}`);
+      }
+      tokens.push({ type: 'literal', value: regex, index });
+    } else if ((match = rest.match(/^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*/))) {
+      const keywords = { true: true, false: false, null: null };
+      tokens.push(Object.prototype.hasOwnProperty.call(keywords, match[0])
+        ? { type: 'literal', value: keywords[match[0]], index }
+        : { type: 'name', value: match[0], index });
+    } else if ((match = rest.match(/^(==|!=|<=|>=|&&|\|\||[<>~!()])/))) {
+      tokens.push({ type: 'operator', value: match[0], index });
+    } else {
+      throw new Error(`unexpected "${rest[0]}" at ${index + 1}`);
+    }
+    index += match[0].length;
+  }
+  return tokens;
+}
+
+/**
+ * Parse tokens into an expression tree with recursive descent
+ * Precedence from low to high: ||, &&, !, comparisons
+ */
+function parseExpression(tokens) {
+  let position = 0;
+  const peek = () => tokens[position];
+  const accept = (value) => {
+    if (peek()?.type === 'operator' && peek().value === value) {
+      position += 1;
+      return true;
+    }
+    return false;
+  };
+
+  const parseBinary = (operator, parseOperand) => {
+    let left = parseOperand();
+    while (accept(operator)) {
+      left = { type: operator, left, right: parseOperand() };
+    }
+    return left;
+  };
+  const parseOr = () => parseBinary('||', parseAnd);
+  const parseAnd = () => parseBinary('&&', parseNot);
+  const parseNot = () => (accept('!') ? { type: '!', operand: parseNot() } : parseComparison());
+  const parseComparison = () => {
+    const left = parseOperand();
+    const token = peek();
+    if (token?.type === 'operator' && ['==', '!=', '<', '<=', '>', '>=', '~'].includes(token.value)) {
+      position += 1;
+      return { type: token.value, left, right: parseOperand() };
+    }
+    return left;
+  };
+  const parseOperand = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error('unexpected end of condition');
+    }
+    position += 1;
+    if (token.type === 'literal') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'name') {
+      return { type: 'name', path: token.value.split('.') };
+    }
+    if (token.value === '(') {
+      const inner = parseOr();
+      if (!accept(')')) {
+        throw new Error(`missing ")" for "(" at ${token.index + 1}`);
+      }
+      return inner;
+    }
+    throw new Error(`unexpected "${token.value}" at ${token.index + 1}`);
+  };
+
+  const expression = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`unexpected "${peek().value}" at ${peek().index + 1}`);
+  }
+  return expression;
+}
+
+/**
+ * Evaluate an expression tree against a context
+ * Names only read own properties of plain data, so a condition cannot reach anything else
+ */
+function evaluateExpression(node, context) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'name':
+      return node.path.reduce((value, key) => {
+        if (value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)) {
+          return value[key];
+        }
+        return undefined;
+      }, context) ?? null;
+    case '!':
+      return !evaluateExpression(node.operand, context);
+    case '&&':
+      return Boolean(evaluateExpression(node.left, context) && evaluateExpression(node.right, context));
+    case '||':
+      return Boolean(evaluateExpression(node.left, context) || evaluateExpression(node.right, context));
+    default:
+      return compareValues(node.type, evaluateExpression(node.left, context), evaluateExpression(node.right, context));
+  }
+}
+
+/**
+ * Compare two condition values
+ * A number on either side compares numerically, ~ matches a regex or contains text ignoring case
+ */
+function compareValues(operator, left, right) {
+  if (operator === '~') {
+    if (right instanceof RegExp) {
+      return right.test(`${left ?? ''}`);
+    }
+    return `${left ?? ''}`.toLowerCase().includes(`${right ?? ''}`.toLowerCase());
+  }
+  const numeric = typeof left === 'number' || typeof right === 'number';
+  const a = numeric ? Number(left) : left;
+  const b = numeric ? Number(right) : right;
+  switch (operator) {
+    case '==':
+      return a === b;
+    case '!=':
+      return a !== b;
+    case '<':
+      return left !== null && right !== null && a < b;
+    case '<=':
+      return left !== null && right !== null && a <= b;
+    case '>':
+      return left !== null && right !== null && a > b;
+    default:
+      return left !== null && right !== null && a >= b;
+  }
+}
+
+/**
+ * Test a field's rules against the current runtime data, for the rule editor
+ */
+function describeConditionTest(fieldKey) {
+  const eventType = getFieldConfig(fieldKey).scope === 'next' ? 'next' : 'current';
+  const event = eventType === 'next' ? localData.eventNext : localData.eventNow;
+  if (!event) {
+    return `No ${eventType} event to test against`;
+  }
+  const config = getEventFieldConfig(fieldKey, event);
+  const value = fieldKey === mainTimerKey && typeof localData.timer?.current === 'number'
+    ? formatClock(localData.timer.current / 1000)
+    : event.custom?.[fieldKey];
+  const verdict = evaluateFieldRules({ fieldKey, config, eventType, event, value });
+  return verdict.pass
+    ? `Would speak for "${event.title || event.id}"`
+    : `Would skip "${event.title || event.id}": ${verdict.reason}`;
+}
+
+/**
+ * Get the configuration of a field with the override of an event applied
+ */
+function getEventFieldConfig(fieldKey, event) {
+  const config = getFieldConfig(fieldKey);
+  const override = event ? config.overrides[event.id] : undefined;
+  return override ? { ...config, ...override } : config;
+}
+
+/**
+ * Get the definition of a monitored source, either a custom field or a built-in Ontime source
+ */
+function getFieldDefinition(fieldKey) {
+  return builtInSources[fieldKey] || customFields[fieldKey];
+}
+
+/**
+ * Announce runtime transitions: a new current or next event and playback changes
+ * State is tracked even while TTS is disabled, the first value seen is never announced
+ */
+function checkLifecycle(payload) {
+  const transitions = [];
+
+  if ('eventNow' in payload) {
+    const id = payload.eventNow?.id ?? null;
+    if (lifecycleState.now !== undefined && id !== lifecycleState.now && id !== null) {
+      transitions.push(['now', payload.eventNow]);
+    }
+    lifecycleState.now = id;
+  }
+
+  if ('eventNext' in payload) {
+    const id = payload.eventNext?.id ?? null;
+    if (lifecycleState.next !== undefined && id !== lifecycleState.next && id !== null) {
+      transitions.push(['next', payload.eventNext]);
+    }
+    lifecycleState.next = id;
+  }
+
+  // Ontime v3 reports playback in the timer, older versions at the top level
+  const playback = localData.timer?.playback ?? localData.playback;
+  if (playback !== undefined) {
+    if (lifecycleState.playback !== undefined && playback !== lifecycleState.playback && lifecycleTransitions[playback]) {
+      transitions.push([playback, localData.eventNow]);
+    }
+    lifecycleState.playback = playback;
+  }
+
+  if (!document.getElementById('tts-enabled').checked) {
+    return;
+  }
+  transitions.forEach(([type, event]) => {
+    const config = getLifecycleConfig(type);
+    if (!config.enabled) {
+      return;
+    }
+    console.log(`[TTS] Lifecycle transition: ${type}`);
+    const text = renderPhrase(config.template, buildEventContext(event));
+    speakValue(`lifecycle-${type}`, text, config, `lifecycle-${type}`, { eventId: event?.id, rawValue: type });
+  });
+}
+
+/**
+ * Follow the schedule offset and announce it each time it crosses another drift step
+ * Ontime reports a negative offset while running behind, drift here is positive when late
+ */
+function checkDrift() {
+  const offset = localData.runtime?.offset;
+  if (typeof offset !== 'number') {
+    return;
+  }
+  const drift = -offset / 1000;
+  const { step, hysteresis } = settings.drift;
+
+  // The first value seen is the starting point, not a change
+  if (driftState.level === undefined) {
+    driftState.level = Math.trunc(drift / step);
+    driftState.announcedLevel = driftState.level;
+    return;
+  }
+
+  const level = getDriftLevel(drift, driftState.level, step, hysteresis);
+  if (level !== driftState.level) {
+    driftState.level = level;
+    announceDrift();
+  }
+}
+
+/**
+ * Get the drift step the offset is in
+ * Falling back towards schedule must clear the step boundary by the hysteresis, so a value bouncing on it stays put
+ */
+function getDriftLevel(drift, currentLevel, step, hysteresis) {
+  const level = Math.trunc(drift / step);
+  if (level === currentLevel || Math.sign(level) === -Math.sign(currentLevel) || Math.abs(level) > Math.abs(currentLevel)) {
+    return level;
+  }
+  return Math.trunc((drift + Math.sign(currentLevel) * hysteresis) / step);
+}
+
+/**
+ * Speak the current drift step, waiting for the minimum interval since the last drift callout
+ */
+function announceDrift() {
+  const config = getDriftConfig();
+  if (!config.enabled || driftState.level === driftState.announcedLevel || driftState.timeout) {
+    return;
+  }
+  const wait = (driftState.announcedAt || 0) + config.minInterval * 1000 - Date.now();
+  if (wait > 0) {
+    driftState.timeout = setTimeout(() => {
+      driftState.timeout = null;
+      announceDrift();
+    }, wait);
+    return;
+  }
+
+  driftState.announcedLevel = driftState.level;
+  driftState.announcedAt = Date.now();
+  if (!document.getElementById('tts-enabled').checked) {
+    return;
+  }
+  const template = driftState.level > 0 ? config.lateTemplate : driftState.level < 0 ? config.earlyTemplate : config.onTimeTemplate;
+  console.log(`[TTS] Schedule drift reached step ${driftState.level}`);
+  const context = buildDriftContext();
+  speakValue('drift', renderPhrase(template, context), config, 'drift', { rawValue: context.raw });
+}
+
+/**
+ * Get the speech configuration of the drift monitor
+ */
+function getDriftConfig() {
+  return { ...createDefaultFieldConfig(), ...settings.drift };
+}
+
+/**
+ * Build the placeholder values available to drift templates
+ * Minutes and seconds give the step reached, so callouts read as round numbers
+ */
+function buildDriftContext() {
+  const reached = Math.abs(driftState.level) * settings.drift.step;
+  const drift = Math.abs(Math.round(-(localData.runtime?.offset || 0) / 1000));
+  return {
+    minutes: Math.round(reached / 60),
+    seconds: reached,
+    duration: formatDuration(reached, settings.drift.language),
+    raw: formatClock(drift),
+  };
+}
+
+/**
+ * Read timer and external messages aloud when they become visible or their text changes
+ */
+function checkMessages() {
+  Object.keys(messageTypes).forEach((type) => {
+    const { text, visible } = getMessage(type);
+    const state = messageState[type];
+    messageState[type] = { text, visible, repeats: 0, timeout: null };
+
+    // The first value seen is the starting point, not a change
+    if (!state) {
+      return;
+    }
+    if (state.text === text && state.visible === visible) {
+      messageState[type] = state;
+      return;
+    }
+    clearTimeout(state.timeout);
+    if (visible) {
+      announceMessage(type);
+    }
+  });
+}
+
+/**
+ * Get the text and visibility of a message
+ * Ontime v3 sends a message object, v2 separate timerMessage and externalMessage objects
+ */
+function getMessage(type) {
+  const message = localData.message;
+  let value;
+  if (type === 'timer') {
+    value = message?.timer ?? localData.timerMessage;
+  } else if (typeof message?.external === 'string') {
+    // v3 shows the external message in place of the secondary timer text
+    value = { text: message.external, visible: message.timer?.secondarySource === 'external' };
+  } else {
+    value = message?.external ?? localData.externalMessage;
+  }
+  const text = (value?.text || '').trim();
+  return { text, visible: Boolean(value?.visible && text) };
+}
+
+/**
+ * Speak a message and schedule its next repeat while it stays visible
+ */
+function announceMessage(type) {
+  const config = getMessageConfig(type);
+  const state = messageState[type];
+  if (!config.enabled) {
+    return;
+  }
+  if (document.getElementById('tts-enabled').checked) {
+    console.log(`[TTS] Reading ${type} message${state.repeats > 0 ? ` (repeat ${state.repeats})` : ''}`);
+    const text = renderPhrase(config.template, { text: state.text, repeat: state.repeats });
+    speakValue(`message-${type}`, text, config, `message-${type}`, { rawValue: state.text });
+  }
+  if (config.repeatInterval > 0 && state.repeats < config.maxRepeats) {
+    state.timeout = setTimeout(() => {
+      state.repeats += 1;
+      announceMessage(type);
+    }, config.repeatInterval * 1000);
+  }
+}
+
+/**
+ * Get the speech configuration of a message type
+ */
+function getMessageConfig(type) {
+  return { ...createDefaultFieldConfig(), ...settings.messages[type] };
+}
+
+/**
+ * Get the speech configuration of a lifecycle transition
+ */
+function getLifecycleConfig(type) {
+  return { ...createDefaultFieldConfig(), ...settings.lifecycle[type] };
+}
+
+/**
+ * Build the placeholder values available to lifecycle templates
+ */
+function buildEventContext(event) {
+  return {
+    title: event?.title || '',
+    eventTitle: event?.title || '',
+    cue: event?.cue || '',
+    timeStart: formatTimeOfDay(event?.timeStart),
+    timeEnd: formatTimeOfDay(event?.timeEnd),
+    playback: localData.timer?.playback ?? localData.playback ?? '',
+  };
+}
+
+/**
+ * Format milliseconds since midnight as a time of day, e.g. "14:05"
+ */
+function formatTimeOfDay(ms) {
+  if (typeof ms !== 'number') {
+    return '';
+  }
+  const minutes = Math.floor(ms / 60000) % (24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Announce a field's text when a new event becomes current
+ */
+function checkEventStart(fieldKey, fieldValue, config, eventId) {
+  const lastEventId = startedEvents.get(fieldKey);
+  startedEvents.set(fieldKey, eventId);
+  // Nothing started when the page first sees an event
+  if (lastEventId === undefined || lastEventId === eventId) {
+    return;
+  }
+  scheduleAnnouncement(`start-${fieldKey}`, fieldKey, fieldValue, config, eventId);
+}
+
+/**
+ * Speak a field's text once it has stopped changing for the debounce time
+ * A newer value for the same key restarts the wait
+ */
+function scheduleAnnouncement(debounceKey, fieldKey, fieldValue, config, eventId) {
+  clearTimeout(pendingAnnouncements.get(debounceKey)?.timeout);
+  pendingAnnouncements.delete(debounceKey);
+
+  const text = typeof fieldValue === 'string' ? fieldValue.trim() : '';
+  if (!text) {
+    console.log(`[TTS] Field ${fieldKey} is empty, nothing to announce`);
+    return;
+  }
+
+  const timeout = setTimeout(() => {
+    pendingAnnouncements.delete(debounceKey);
+    const phrase = `${config.prefix} ${text}`.trim();
+    console.log(`[TTS] Announcing field ${fieldKey}: "${phrase}"`);
+    announceFieldCue(fieldKey, phrase, config, debounceKey, { eventId, rawValue: fieldValue }, text);
+  }, config.debounce);
+  pendingAnnouncements.set(debounceKey, { fieldKey, timeout });
+}
+
+/**
+ * Cancel the text announcements waiting for their debounce, of one field or of all fields
+ */
+function cancelPendingAnnouncements(fieldKey = null) {
+  pendingAnnouncements.forEach((pending, debounceKey) => {
+    if (fieldKey === null || pending.fieldKey === fieldKey) {
+      clearTimeout(pending.timeout);
+      pendingAnnouncements.delete(debounceKey);
+    }
+  });
+}
+
+/**
+ * Parse a callout list such as "300, 120, 60, 10, 5-1" into points in seconds, highest first
+ */
+function parseCallouts(calloutStr) {
+  const points = new Set();
+  String(calloutStr || '')
+    .split(',')
+    .map((part) => part.trim())
+    .forEach((part) => {
+      const range = part.match(/^(\d+)\s*-\s*(\d+)$/);
+      if (range) {
+        const from = parseInt(range[1], 10);
+        const to = parseInt(range[2], 10);
+        const low = Math.min(from, to);
+        const high = Math.min(Math.max(from, to), low + maxCalloutRange);
+        for (let point = low; point <= high; point++) {
+          points.add(point);
+        }
+      } else if (/^\d+$/.test(part)) {
+        points.add(parseInt(part, 10));
+      } else if (part) {
+        console.log(`[TTS] Ignoring invalid callout point "${part}"`);
+      }
+    });
+  return Array.from(points).sort((a, b) => b - a);
+}
+
+/**
+ * Build the placeholder values available to phrase templates
+ */
+function buildPhraseContext(fieldKey, event, rawValue, seconds) {
+  // Round towards zero the way a countdown display does, 9.5 remaining reads as 10
+  const wholeSeconds = Math.ceil(seconds);
+  const config = getFieldConfig(fieldKey);
+  return {
+    label: getFieldDefinition(fieldKey)?.label || fieldKey,
+    seconds: wholeSeconds,
+    minutes: Math.trunc(wholeSeconds / 60),
+    duration: formatDuration(wholeSeconds, config.language, config.durationStyle),
+    overtime: Math.max(0, -wholeSeconds),
+    raw: rawValue,
+    eventTitle: event?.title || '',
+    cue: event?.cue || '',
+  };
+}
+
+/**
+ * Phrase a number of seconds as a spoken duration in a language, with its plural rules
+ * The clock style reads like m:ss ("1 minute 30"), the seconds style as a total ("90 seconds")
+ */
+function formatDuration(seconds, language, style = 'clock') {
+  const total = Math.abs(Math.round(seconds));
+  if (style === 'seconds' || total < 60) {
+    return formatUnit(total, 'second', language);
+  }
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const rest = total % 60;
+  const parts = [];
+  if (hours > 0) {
+    parts.push(formatUnit(hours, 'hour', language));
+  }
+  if (minutes > 0) {
+    parts.push(formatUnit(minutes, 'minute', language));
+  }
+  if (rest > 0) {
+    // Like a clock, the seconds after the minutes are read as a bare number
+    // Straight after the hours that would sound like minutes, so the unit is kept
+    parts.push(minutes > 0 ? `${rest}` : formatUnit(rest, 'second', language));
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Format a value with a long unit name in a language, e.g. "2 Minuten"
+ * Falls back to English when the browser has no unit names for the language
+ */
+function formatUnit(value, unit, language) {
+  const key = `${language}-${unit}`;
+  if (!unitFormats.has(key)) {
+    let format;
+    try {
+      format = new Intl.NumberFormat(language, { style: 'unit', unit, unitDisplay: 'long' });
+    } catch (error) {
+      const plurals = new Intl.PluralRules('en');
+      format = { format: (count) => `${count} ${unit}${plurals.select(count) === 'one' ? '' : 's'}` };
+    }
+    unitFormats.set(key, format);
+  }
+  return unitFormats.get(key).format(value);
+}
+
+/**
+ * Replace {placeholder} tokens in a phrase template
+ * Unknown placeholders are left untouched so typos are audible in the preview
+ */
+function renderPhrase(template, context) {
+  const phrase = (template || '{seconds}').replace(/\{(\w+)\}/g, (match, name) =>
+    name in context ? `${context[name]}` : match
+  );
+  return phrase.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Speak a template with sample values so it can be checked from the configuration UI
+ */
+function previewPhrase(fieldKey, template, isOvertime = false) {
+  const config = getFieldConfig(fieldKey);
+  const event = localData.eventNow || { title: 'Sample event', cue: '1' };
+  const sample = parseCallouts(config.callouts)[0] ?? 10;
+  const seconds = isOvertime ? -sample : sample;
+  const text = renderPhrase(template, buildPhraseContext(fieldKey, event, formatClock(seconds), seconds));
+  speakValue(fieldKey, text, config);
+}
+
+/**
+ * Queue a phrase to be spoken
+ * valueKey identifies the value being announced, a newer phrase for the same key replaces queued ones
+ * source describes the event and raw value it was built from, for the announcement history
+ */
+function speakValue(fieldKey, text, config, valueKey = fieldKey, source = {}) {
+  if (replay?.seeking) {
+    return;
+  }
+  enqueueSpeech({
+    fieldKey,
+    text,
+    config,
+    valueKey,
+    eventId: source.eventId ?? localData.eventNow?.id ?? '',
+    rawValue: source.rawValue ?? '',
+    priority: config.priority ?? 2,
+    createdAt: Date.now(),
+  });
+}
+
+/**
+ * Add an utterance to the speech queue, keeping it ordered by priority
+ */
+function enqueueSpeech(item) {
+  // Anything still waiting for the same value is out of date now
+  speechQueue = speechQueue.filter((queued) => {
+    if (queued.valueKey === item.valueKey) {
+      console.log(`[TTS] Dropping stale "${queued.text}" (field: ${queued.fieldKey})`);
+      logSpeechDecision('superseded', queued, `replaced by "${item.text}"`);
+      return false;
+    }
+    return true;
+  });
+
+  // Higher priority first, first in first out within a priority
+  const insertAt = speechQueue.findIndex((queued) => queued.priority < item.priority);
+  if (insertAt === -1) {
+    speechQueue.push(item);
+  } else {
+    speechQueue.splice(insertAt, 0, item);
+  }
+
+  if (currentSpeech && settings.preemption && item.priority > currentSpeech.priority) {
+    console.log(`[TTS] Interrupting "${currentSpeech.text}" for higher priority "${item.text}"`);
+    interruptSpeech();
+    return;
+  }
+
+  processSpeechQueue();
+}
+
+/**
+ * Speak the next queued utterance if nothing is being spoken
+ */
+function processSpeechQueue() {
+  if (currentSpeech || speechQueue.length === 0) {
+    return;
+  }
+
+  const item = speechQueue.shift();
+  const age = Date.now() - item.createdAt;
+  if (settings.maxLatency > 0 && age > settings.maxLatency) {
+    console.log(`[TTS] Discarding "${item.text}", waited ${age}ms (max latency: ${settings.maxLatency}ms)`);
+    logSpeechDecision('busy', item, `waited ${age}ms`);
+    processSpeechQueue();
+    return;
+  }
+
+  if (item.config.muted) {
+    console.log(`[TTS] Field ${item.fieldKey} is muted, skipping "${item.text}"`);
+    logSpeechDecision('muted', item);
+    processSpeechQueue();
+    return;
+  }
+
+  currentSpeech = item;
+  lastSpoken = item;
+  updateControlStrip();
+  const { fieldKey, text, config } = item;
+  const engine = ttsEngines[config.engine] || ttsEngines.webspeech;
+  const spokenText = applyPronunciations(text, fieldKey, config.engine === 'http' && settings.httpSsml);
+  console.log(`[TTS] Speaking: "${spokenText}" (field: ${fieldKey}, engine: ${engine.label}, lang: ${config.language || 'en-US'})`);
+
+  // The chime belongs to the announcement, an interruption during the chime skips the speech
+  const chime = config.earcons?.chime ? playEarcon('chime', config) : Promise.resolve();
+  chime
+    .then(() => currentSpeech === item ? engine.speak(spokenText, config) : Promise.reject(new Error('Interrupted')))
+    .then(() => {
+      console.log('[TTS] Speech ended');
+      logSpeechDecision(currentSpeech === item ? 'spoken' : 'interrupted', item, engine.label);
+    })
+    .catch((error) => {
+      // Cancelling an engine rejects the utterance it was speaking
+      if (currentSpeech !== item) {
+        logSpeechDecision('interrupted', item, engine.label);
+        return;
+      }
+      console.error('[TTS] Speech error:', error);
+      logSpeechDecision('error', item, error?.message || error?.error || `${error}`);
+    })
+    .finally(() => finishSpeech(item));
+}
+
+/**
+ * Mark an utterance as done and move on to the next one
+ * Events from utterances that were already interrupted are ignored
+ */
+function finishSpeech(item) {
+  if (currentSpeech !== item) {
+    return;
+  }
+  currentSpeech = null;
+  processSpeechQueue();
+}
+
+/**
+ * Stop the current utterance and continue with the queue
+ */
+function interruptSpeech() {
+  currentSpeech = null;
+  cancelAllEngines();
+  // Some browsers drop an utterance queued right after cancel()
+  setTimeout(processSpeechQueue, 100);
+}
+
+/**
+ * Stop speaking and forget everything queued
+ */
+function clearSpeechQueue() {
+  speechQueue = [];
+  currentSpeech = null;
+  cancelAllEngines();
+}
+
+/**
+ * Cancel whatever any engine is playing, an engine may have fallen back to another one
+ */
+function cancelAllEngines() {
+  Object.values(ttsEngines).forEach((engine) => engine.cancel());
+}
+
+/**
+ * Apply the field's and then the global pronunciation dictionary to a phrase
+ * Replaced text is not matched again by later entries. With ssml the phrase is returned as an
+ * SSML document keeping markup of the replacements, otherwise markup is removed
+ */
+function applyPronunciations(text, fieldKey, ssml = false) {
+  const entries = [...(monitoredFields.get(fieldKey)?.pronunciations || []), ...settings.pronunciations];
+  let segments = [{ text, replaced: false, markup: false }];
+  entries.forEach((entry) => {
+    const pattern = compilePronunciation(entry);
+    if (!pattern) {
+      return;
+    }
+    segments = segments.flatMap((segment) =>
+      segment.replaced ? [segment] : replacePronunciation(segment.text, pattern, entry.say || '')
+    );
+  });
+
+  if (ssml) {
+    return `<speak>${segments.map((segment) => segment.markup ? segment.text : escapeXml(segment.text)).join('')}</speak>`;
+  }
+  return segments.map((segment) => segment.markup ? stripMarkup(segment.text) : segment.text).join('');
+}
+
+/**
+ * Split a text into segments around the matches of a dictionary entry
+ * The replacement may refer to regular expression groups as $1, $2 or to the whole match as $&
+ */
+function replacePronunciation(text, pattern, say) {
+  const segments = [];
+  let position = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match[0] === '') {
+      continue;
+    }
+    if (match.index > position) {
+      segments.push({ text: text.slice(position, match.index), replaced: false, markup: false });
+    }
+    const replacement = say.replace(/\$(\d+|&)/g, (token, group) => group === '&' ? match[0] : match[Number(group)] ?? '');
+    segments.push({ text: replacement, replaced: true, markup: /<[a-z/!?]/i.test(replacement) });
+    position = match.index + match[0].length;
+  }
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), replaced: false, markup: false });
+  }
+  return segments;
+}
+
+/**
+ * Compile the pattern of a dictionary entry, matching case-insensitively
+ * Literal entries match whole words only. Returns null for an empty or invalid pattern
+ */
+function compilePronunciation(entry) {
+  const key = `${entry.regex ? 'regex' : 'literal'}:${entry.match}`;
+  if (!pronunciationPatterns.has(key)) {
+    let pattern = null;
+    if (entry.match) {
+      try {
+        pattern = entry.regex
+          ? new RegExp(entry.match, 'gi')
+          : new RegExp(`(?<![\\p{L}\\p{N}])${entry.match.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`, 'giu');
+      } catch (error) {
+        console.log(`[TTS] Invalid pronunciation pattern "${entry.match}":`, error.message);
+      }
+    }
+    pronunciationPatterns.set(key, pattern);
+  }
+  return pronunciationPatterns.get(key);
+}
+
+/**
+ * Remove SSML tags from a replacement for engines that would read them aloud
+ */
+function stripMarkup(text) {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Escape text for use inside an SSML document
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Get the pronunciation dictionary of a field, or the global one for an empty field key
+ */
+function getPronunciations(fieldKey) {
+  return fieldKey ? getFieldConfig(fieldKey).pronunciations : settings.pronunciations;
+}
+
+/**
+ * Replace the pronunciation dictionary of a field, or the global one for an empty field key
+ */
+function setPronunciations(fieldKey, entries) {
+  if (fieldKey) {
+    const config = getFieldConfig(fieldKey);
+    config.pronunciations = entries;
+    monitoredFields.set(fieldKey, config);
+  } else {
+    settings.pronunciations = entries;
+  }
+  saveConfiguration();
+}
+
+/**
+ * Speak a text through a field's or the global dictionary, for the "say it" buttons
+ */
+function sayPronunciation(fieldKey, text) {
+  if (!text) {
+    return;
+  }
+  if (fieldKey) {
+    speakValue(fieldKey, text, getFieldConfig(fieldKey), `pronunciation-${fieldKey}`);
+    return;
+  }
+  const engine = document.getElementById('pronunciation-test-engine').value;
+  speakValue('pronunciation', text, { ...createDefaultFieldConfig(), engine }, 'pronunciation');
+}
+
+/**
+ * Record a trigger decision in the announcement history
+ * A skip repeating the previous entry for the same field and value is not recorded again
+ */
+function logDecision(outcome, { fieldKey, eventId = '', rawValue = '', text = '', detail = '', config = null }) {
+  if (replay?.seeking) {
+    return;
+  }
+  const last = announcementHistory[announcementHistory.length - 1];
+  if (!text && last && last.outcome === outcome && last.fieldKey === fieldKey && last.eventId === eventId && last.rawValue === rawValue) {
+    return;
+  }
+  announcementHistory.push({
+    id: ++historyCounter,
+    time: new Date().toISOString(),
+    outcome,
+    eventId: eventId ?? '',
+    fieldKey,
+    field: getSourceLabel(fieldKey),
+    rawValue: typeof rawValue === 'string' ? rawValue : JSON.stringify(rawValue ?? ''),
+    text,
+    detail,
+    config, // kept to replay the announcement, not exported
+  });
+  if (announcementHistory.length > maxHistoryEntries) {
+    announcementHistory.splice(0, announcementHistory.length - maxHistoryEntries);
+  }
+  scheduleHistoryRender();
+}
+
+/**
+ * Render the history on the next frame, so a burst of decisions renders once
+ */
+function scheduleHistoryRender() {
+  if (historyRenderPending) {
+    return;
+  }
+  historyRenderPending = true;
+  requestAnimationFrame(() => {
+    historyRenderPending = false;
+    renderHistory();
+  });
+}
+
+/**
+ * Record the decision taken for a queued utterance
+ */
+function logSpeechDecision(outcome, item, detail = '') {
+  logDecision(outcome, { ...item, detail });
+}
+
+/**
+ * Get a readable name of an announcement source
+ */
+function getSourceLabel(fieldKey) {
+  const [kind, type] = fieldKey.split(/-(.*)/);
+  if (kind === 'lifecycle' && lifecycleTransitions[type]) {
+    return lifecycleTransitions[type];
+  }
+  if (kind === 'message' && messageTypes[type]) {
+    return messageTypes[type];
+  }
+  if (fieldKey === 'drift') {
+    return 'Schedule drift';
+  }
+  if (fieldKey === 'pronunciation') {
+    return 'Pronunciation test';
+  }
+  return getFieldDefinition(fieldKey)?.label || fieldKey;
+}
+
+/**
+ * Get the history entries matching the filters of the history panel
+ */
+function getFilteredHistory() {
+  const outcome = document.getElementById('history-outcome').value;
+  const search = document.getElementById('history-search').value.trim().toLowerCase();
+  return announcementHistory.filter((entry) =>
+    (!outcome || entry.outcome === outcome) &&
+    (!search || [entry.field, entry.eventId, entry.rawValue, entry.text].some((value) => value.toLowerCase().includes(search)))
+  );
+}
+
+/**
+ * Render the latest matching history entries, newest first
+ */
+function renderHistory() {
+  const container = document.getElementById('history-list');
+  const entries = getFilteredHistory().slice(-200).reverse();
+  if (entries.length === 0) {
+    container.innerHTML = '<p class="info-text">No announcements recorded</p>';
+    return;
+  }
+  container.innerHTML = entries.map((entry) => `
+    <div class="history-item ${entry.outcome}">
+      <span class="history-time">${new Date(entry.time).toLocaleTimeString()}</span>
+      <span class="history-outcome">${historyOutcomes[entry.outcome]}</span>
+      <span class="history-field">${escapeAttribute(entry.field)}</span>
+      <span class="history-text">
+        ${escapeAttribute(entry.text || entry.rawValue)}
+        ${entry.detail ? `<span class="history-detail">${escapeAttribute(entry.detail)}</span>` : ''}
+      </span>
+      ${entry.text && entry.config ? `<button class="btn btn-secondary replay-history-btn" data-history-id="${entry.id}">Replay</button>` : ''}
+    </div>
+  `).join('');
+}
+
+/**
+ * Speak a recorded announcement again
+ */
+function replayHistoryEntry(id) {
+  const entry = announcementHistory.find((item) => item.id === id);
+  if (entry) {
+    speakValue(entry.fieldKey, entry.text, entry.config, `replay-${entry.id}`, entry);
+  }
+}
+
+/**
+ * Download the announcement history as CSV or JSON
+ */
+function exportHistory(format) {
+  const columns = ['time', 'outcome', 'eventId', 'field', 'rawValue', 'text', 'detail'];
+  const entries = announcementHistory.map((entry) => Object.fromEntries(columns.map((column) => [column, entry[column]])));
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  if (format === 'json') {
+    downloadFile(`ontime-tts-history-${stamp}.json`, JSON.stringify(entries, null, 2), 'application/json');
+    return;
+  }
+  const quote = (value) => `"${`${value ?? ''}`.replace(/"/g, '""')}"`;
+  const rows = entries.map((entry) => columns.map((column) => quote(entry[column])).join(','));
+  downloadFile(`ontime-tts-history-${stamp}.csv`, [columns.join(','), ...rows].join('\n'), 'text/csv');
+}
+
+/**
+ * Speak with the browser's built-in Web Speech API
+ * Resolves when the utterance has been spoken
+ */
+function speakWithWebSpeech(text, config) {
+  return new Promise((resolve, reject) => {
+    if (!speechSynthesis) {
+      reject(new Error('Speech synthesis not available'));
+      return;
+    }
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = config.language || 'en-US';
+    utterance.rate = ttsSpeed;
+    utterance.volume = Math.min(1, (config.gain ?? 1) * settings.masterVolume);
+
+    // Set voice if available, falling back to another voice of the language
+    const voice = findVoice(speechSynthesis.getVoices(), config.voice, utterance.lang);
+    if (voice) {
+      utterance.voice = voice;
+      console.log(`[TTS] Using voice: ${voice.name}`);
+    }
+
+    utterance.onstart = () => {
+      console.log('[TTS] Speech started');
+    };
+    utterance.onend = () => resolve();
+    utterance.onerror = (error) => reject(error);
+
+    try {
+      speechSynthesis.speak(utterance);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Find the configured voice, or the closest voice for the language when it disappeared
+ * Tries the exact language (en-GB), then the base language (en), else leaves the choice to the browser
+ */
+function findVoice(voices, voiceId, language) {
+  const exact = voiceId && voices.find((v) => v.voiceURI === voiceId || v.name === voiceId);
+  if (exact || !voiceId) {
+    return exact || null;
+  }
+  const base = language.split('-')[0];
+  const fallback = voices.find((v) => normaliseLanguage(v.lang) === language) ||
+    voices.find((v) => normaliseLanguage(v.lang).split('-')[0] === base);
+  console.log(`[TTS] Voice not found: ${voiceId}, using ${fallback ? fallback.name : 'the browser default'} for ${language}`);
+  return fallback || null;
+}
+
+/**
+ * Cancel Web Speech output
+ */
+function cancelWebSpeech() {
+  speechSynthesis?.cancel();
+}
+
+/**
+ * Speak by posting the text to a synthesis endpoint and playing the returned audio
+ * Falls back to Web Speech when the endpoint is not configured, fails or times out
+ */
+async function speakWithHttp(text, config) {
+  const controller = new AbortController();
+  httpRequest = controller;
+  const timeout = setTimeout(() => controller.abort('timeout'), settings.httpTimeout);
+
+  try {
+    if (!settings.httpEndpoint) {
+      throw new Error('No HTTP engine endpoint configured');
+    }
+
+    const response = await fetch(settings.httpEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        text,
+        ssml: settings.httpSsml,
+        voice: config.voice,
+        language: config.language || 'en-US',
+        rate: ttsSpeed,
+      }),
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP engine responded with ${response.status}`);
+    }
+
+    const audioData = await response.arrayBuffer();
+    clearTimeout(timeout);
+    await playAudioData(audioData, config);
+  } catch (error) {
+    clearTimeout(timeout);
+    // Interrupted by the queue, nothing should be spoken anymore
+    if (controller.signal.aborted && controller.signal.reason !== 'timeout') {
+      return;
+    }
+    console.warn('[TTS] HTTP engine failed, falling back to Web Speech:', error);
+    await speakWithWebSpeech(settings.httpSsml ? stripMarkup(text) : text, config);
+  } finally {
+    if (httpRequest === controller) {
+      httpRequest = null;
+    }
+  }
+}
+
+/**
+ * Cancel a pending synthesis request and stop audio playback
+ */
+function cancelHttp() {
+  httpRequest?.abort();
+  httpRequest = null;
+  stopAudioPlayback();
+}
+
+/**
+ * Get the shared audio context, created on first use
+ */
+function getAudioContext() {
+  if (!audioContext) {
+    audioContext = new AudioContext();
+    masterGain = audioContext.createGain();
+    masterGain.gain.value = settings.masterVolume;
+    masterGain.connect(audioContext.destination);
+    applyOutputDevice();
+  }
+  if (audioContext.state === 'suspended') {
+    audioContext.resume();
+  }
+  return audioContext;
+}
+
+/**
+ * Decode encoded audio (WAV, MP3, ...) and play it
+ * Resolves when playback ends or is stopped
+ */
+async function playAudioData(audioData, config) {
+  const buffer = await getAudioContext().decodeAudioData(audioData);
+  return playAudioBuffers([buffer], config);
+}
+
+/**
+ * Play decoded audio buffers back to back, scheduled on the audio clock so there are no gaps
+ * The field's gain and pan are applied before the master volume
+ * Resolves when the last buffer ends or playback is stopped
+ */
+function playAudioBuffers(buffers, config = {}) {
+  const context = getAudioContext();
+  const output = createFieldOutput(context, config);
+
+  let startAt = context.currentTime;
+  const playback = buffers.map((buffer) => new Promise((resolve) => {
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(output.input);
+    source.onended = () => {
+      activeSources.delete(source);
+      source.disconnect();
+      resolve();
+    };
+    activeSources.add(source);
+    source.start(startAt);
+    startAt += buffer.duration;
+  }));
+  return Promise.all(playback).then(output.disconnect);
+}
+
+/**
+ * Create the gain and pan stage of a field, connected to the master volume
+ * Returns the input node sources connect to, and disconnect to remove the stage once they ended
+ */
+function createFieldOutput(context, config) {
+  const fieldGain = context.createGain();
+  fieldGain.gain.value = config.gain ?? 1;
+  const panner = context.createStereoPanner();
+  panner.pan.value = config.pan ?? 0;
+  fieldGain.connect(panner);
+  panner.connect(masterGain);
+  return {
+    input: fieldGain,
+    disconnect: () => {
+      fieldGain.disconnect();
+      panner.disconnect();
+    },
+  };
+}
+
+/**
+ * Play one of the earconSounds with oscillators, through the field's gain and pan
+ * Notes are shortened or stretched with the reading speed
+ * Resolves when the last note ends or playback is stopped
+ */
+function playEarcon(name, config = {}) {
+  if (replay?.seeking || config.muted) {
+    return Promise.resolve();
+  }
+  const context = getAudioContext();
+  const output = createFieldOutput(context, config);
+
+  let startAt = context.currentTime;
+  const playback = earconSounds[name].map(({ frequency, duration, gap = 0 }) => new Promise((resolve) => {
+    const length = duration / ttsSpeed;
+    const oscillator = context.createOscillator();
+    oscillator.frequency.value = frequency;
+    // Short fades keep the notes from clicking
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(0, startAt);
+    envelope.gain.linearRampToValueAtTime(earconLevel, startAt + 0.005);
+    envelope.gain.setValueAtTime(earconLevel, startAt + length - 0.01);
+    envelope.gain.linearRampToValueAtTime(0, startAt + length);
+    oscillator.connect(envelope);
+    envelope.connect(output.input);
+    oscillator.onended = () => {
+      activeSources.delete(oscillator);
+      oscillator.disconnect();
+      envelope.disconnect();
+      resolve();
+    };
+    activeSources.add(oscillator);
+    oscillator.start(startAt);
+    oscillator.stop(startAt + length);
+    startAt += length + gap / ttsSpeed;
+  }));
+  console.log(`[TTS] Earcon: ${name}`);
+  return Promise.all(playback).then(output.disconnect);
+}
+
+/**
+ * Route the audio context to the selected output device
+ * Only audio rendered through Web Audio can be routed, Web Speech always uses the system default
+ */
+async function applyOutputDevice() {
+  if (!audioContext) {
+    return;
+  }
+  if (typeof audioContext.setSinkId !== 'function') {
+    if (settings.outputDevice) {
+      console.warn('[TTS] This browser cannot select an audio output device');
+    }
+    return;
+  }
+  try {
+    await audioContext.setSinkId(settings.outputDevice);
+  } catch (error) {
+    console.error(`[TTS] Failed to select output device "${settings.outputDevice}":`, error);
+  }
+}
+
+/**
+ * List audio output devices in the output device select
+ */
+async function populateOutputDevices() {
+  const select = document.getElementById('tts-output-device');
+  if (!navigator.mediaDevices?.enumerateDevices) {
+    select.disabled = true;
+    return;
+  }
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  const outputs = devices.filter((device) => device.kind === 'audiooutput');
+  select.innerHTML = '<option value="">System default</option>';
+  outputs.forEach((device, index) => {
+    if (device.deviceId === 'default') {
+      return;
+    }
+    const option = document.createElement('option');
+    option.value = device.deviceId;
+    option.textContent = device.label || `Output ${index + 1}`;
+    option.selected = device.deviceId === settings.outputDevice;
+    select.appendChild(option);
+  });
+}
+
+/**
+ * Stop every audio buffer and earcon that is currently playing
+ */
+function stopAudioPlayback() {
+  activeSources.forEach((source) => source.stop());
+  activeSources.clear();
+}
+
+/**
+ * Fetch the voice list of the HTTP engine
+ * The endpoint answers a GET request with [{ name, lang }] or a list of voice names
+ */
+async function loadHttpVoices() {
+  httpVoices = [];
+  if (!settings.httpEndpoint) {
+    return;
+  }
+
+  try {
+    const response = await fetch(settings.httpEndpoint);
+    if (response.ok) {
+      const voices = await response.json();
+      httpVoices = Array.isArray(voices)
+        ? voices.map((voice) => (typeof voice === 'string' ? { name: voice, lang: '' } : voice))
+        : [];
+    }
+  } catch (error) {
+    console.log('[TTS] HTTP engine did not report voices:', error);
+  }
+  populateLanguageOptions();
+}
+
+/**
+ * Get available voices
+ */
+function getAvailableVoices() {
   if (!speechSynthesis) {
     return [];
   }
-  return speechSynthesis.getVoices();
+  return speechSynthesis.getVoices();
+}
+
+/**
+ * Speak by assembling pre-recorded clips from the field's clip pack
+ * Words without a clip are spoken with Web Speech in between
+ */
+async function speakWithClips(text, config) {
+  const clips = decodedClips.get(config.clipPack);
+  if (!clips) {
+    console.log(`[TTS] Clip pack "${config.clipPack}" not loaded, using Web Speech`);
+    return speakWithWebSpeech(text, config);
+  }
+
+  // Group consecutive words into runs of clips and runs of text to synthesize
+  const segments = [];
+  text.split(/\s+/).filter(Boolean).forEach((word) => {
+    const buffer = clips.get(getClipToken(word));
+    const last = segments[segments.length - 1];
+    if (buffer) {
+      if (last?.buffers) {
+        last.buffers.push(buffer);
+      } else {
+        segments.push({ buffers: [buffer] });
+      }
+    } else if (last?.words) {
+      last.words.push(word);
+    } else {
+      segments.push({ words: [word] });
+    }
+  });
+
+  const generation = clipGeneration;
+  for (const segment of segments) {
+    if (generation !== clipGeneration) {
+      return;
+    }
+    if (segment.buffers) {
+      await playAudioBuffers(segment.buffers, config);
+    } else {
+      console.log(`[TTS] No clip for "${segment.words.join(' ')}", using Web Speech`);
+      await speakWithWebSpeech(segment.words.join(' '), config);
+    }
+  }
+}
+
+/**
+ * Stop clip playback, including the rest of a partially played announcement
+ */
+function cancelClips() {
+  clipGeneration++;
+  stopAudioPlayback();
+}
+
+/**
+ * Normalise a word or file name into the token a clip is stored under
+ */
+function getClipToken(word) {
+  return word
+    .toLowerCase()
+    .replace(/\.[a-z0-9]+$/, '')
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+/**
+ * Open the IndexedDB database holding clip packs
+ */
+function openClipDatabase() {
+  if (!clipDatabase) {
+    clipDatabase = new Promise((resolve, reject) => {
+      const request = indexedDB.open('ontime-tts', 1);
+      request.onupgradeneeded = () => request.result.createObjectStore('clipPacks', { keyPath: 'id' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return clipDatabase;
+}
+
+/**
+ * Run a request against the clip pack store and resolve with its result
+ */
+async function withClipStore(mode, createRequest) {
+  const database = await openClipDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction('clipPacks', mode);
+    const request = createRequest(transaction.objectStore('clipPacks'));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    // A transaction aborted by the browser, e.g. over the storage quota, fires no error
+    transaction.onabort = () => reject(transaction.error || new Error('Clip storage transaction aborted'));
+  });
+}
+
+/**
+ * Load all clip packs from IndexedDB and decode them ahead of time
+ */
+async function loadClipPacks() {
+  if (!window.indexedDB) {
+    console.warn('[TTS] IndexedDB not available, clip packs are disabled');
+    return;
+  }
+
+  try {
+    const packs = await withClipStore('readonly', (store) => store.getAll());
+    clipPacks = new Map(packs.map((pack) => [pack.id, pack]));
+    await Promise.all(packs.map(decodeClipPack));
+  } catch (error) {
+    console.error('Failed to load clip packs:', error);
+  }
+  renderClipPacks();
+  populateClipPackOptions();
+}
+
+/**
+ * Decode every clip of a pack so it can be played without delay
+ */
+async function decodeClipPack(pack) {
+  const context = getAudioContext();
+  const decoded = new Map();
+  await Promise.all(Object.entries(pack.clips).map(async ([token, blob]) => {
+    try {
+      decoded.set(token, await context.decodeAudioData(await blob.arrayBuffer()));
+    } catch (error) {
+      console.error(`[TTS] Failed to decode clip "${token}" in pack "${pack.name}":`, error);
+    }
+  }));
+  decodedClips.set(pack.id, decoded);
+}
+
+/**
+ * Store a clip pack and refresh its decoded clips
+ */
+async function saveClipPack(pack) {
+  clipPacks.set(pack.id, pack);
+  await withClipStore('readwrite', (store) => store.put(pack));
+  await decodeClipPack(pack);
+  renderClipPacks();
+  populateClipPackOptions();
+}
+
+/**
+ * Remove a clip pack from IndexedDB
+ */
+async function deleteClipPack(packId) {
+  clipPacks.delete(packId);
+  decodedClips.delete(packId);
+  await withClipStore('readwrite', (store) => store.delete(packId));
+  selectedClipPack = '';
+  renderClipPacks();
+  populateClipPackOptions();
+}
+
+/**
+ * Add audio files to a clip pack, each file is keyed by its name (1.wav, minute.wav, ...)
+ */
+async function addClipFiles(packId, files) {
+  const pack = clipPacks.get(packId);
+  if (!pack) {
+    return;
+  }
+  Array.from(files).forEach((file) => {
+    pack.clips[getClipToken(file.name)] = file;
+  });
+  await saveClipPack(pack);
+}
+
+/**
+ * Start recording a clip from the microphone, or stop and store the running recording
+ */
+async function toggleClipRecording(packId, token) {
+  if (clipRecorder) {
+    clipRecorder.stop();
+    return;
+  }
+
+  const pack = clipPacks.get(packId);
+  if (!pack || !token) {
+    return;
+  }
+
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const chunks = [];
+    clipRecorder = new MediaRecorder(stream);
+    clipRecorder.ondataavailable = (e) => chunks.push(e.data);
+    clipRecorder.onstop = async () => {
+      stream.getTracks().forEach((track) => track.stop());
+      pack.clips[token] = new Blob(chunks, { type: clipRecorder.mimeType });
+      clipRecorder = null;
+      await saveClipPack(pack).catch((error) => reportClipError('The recorded clip could not be saved', error));
+    };
+    clipRecorder.start();
+    renderClipPacks();
+  } catch (error) {
+    reportClipError('Recording failed', error);
+    clipRecorder = null;
+  }
+}
+
+/**
+ * Tell the operator a clip pack operation failed, e.g. IndexedDB is full or unavailable
+ */
+function reportClipError(message, error) {
+  console.error(`[TTS] ${message}:`, error);
+  showNotice(`${message}: ${error?.message || error}`, 'error');
+}
+
+/**
+ * Render the clip pack editor
+ */
+function renderClipPacks() {
+  const select = document.getElementById('clip-pack-select');
+  const list = document.getElementById('clip-list');
+  if (!clipPacks.has(selectedClipPack)) {
+    selectedClipPack = clipPacks.keys().next().value || '';
+  }
+
+  select.innerHTML = clipPacks.size === 0 ? '<option value="">No clip packs</option>' : '';
+  clipPacks.forEach((pack) => {
+    const option = document.createElement('option');
+    option.value = pack.id;
+    option.textContent = `${pack.name} (${Object.keys(pack.clips).length} clips)`;
+    option.selected = pack.id === selectedClipPack;
+    select.appendChild(option);
+  });
+
+  document.getElementById('clip-record-btn').textContent = clipRecorder ? 'Stop' : 'Record';
+  ['clip-delete-pack-btn', 'clip-upload', 'clip-record-btn'].forEach((id) => {
+    document.getElementById(id).disabled = !selectedClipPack;
+  });
+
+  const pack = clipPacks.get(selectedClipPack);
+  const tokens = pack ? Object.keys(pack.clips).sort((a, b) => a.localeCompare(b, undefined, { numeric: true })) : [];
+  if (tokens.length === 0) {
+    list.innerHTML = `<p class="info-text">${pack ? 'No clips in this pack. Upload files or record them.' : 'Create a pack to start.'}</p>`;
+    return;
+  }
+
+  list.innerHTML = tokens.map((token) => `
+    <div class="clip-item">
+      <span class="clip-token">${escapeAttribute(token)}</span>
+      <button class="btn btn-secondary play-clip-btn" data-token="${escapeAttribute(token)}" title="Play">&#9654;</button>
+      <button class="btn btn-danger delete-clip-btn" data-token="${escapeAttribute(token)}">&times;</button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Populate clip pack options for all field selects
+ */
+function populateClipPackOptions() {
+  document.querySelectorAll('.field-clip-pack').forEach((select) => {
+    const config = getFieldConfig(select.dataset.fieldKey);
+    select.innerHTML = '<option value="">None</option>';
+    clipPacks.forEach((pack) => {
+      const option = document.createElement('option');
+      option.value = pack.id;
+      option.textContent = pack.name;
+      option.selected = config.clipPack === pack.id;
+      select.appendChild(option);
+    });
+  });
+}
+
+/**
+ * Default configuration for a monitored field
+ */
+function createDefaultFieldConfig() {
+  return {
+    enabled: false,
+    callouts: '10-1',
+    priority: 2,
+    engine: 'webspeech',
+    clipPack: '',
+    voice: '',
+    language: 'en-US',
+    gain: 1,
+    pan: 0, // -1 left to 1 right, only for engines that render audio buffers
+    muted: false,
+    template: '{seconds}',
+    repeatTemplate: '{seconds}',
+    overtime: 'ignore', // negative values: 'ignore', 'announce' with overtimeTemplate, or 'count' on with the templates
+    overtimeTemplate: 'over by {overtime}',
+    mode: 'countdown', // see fieldModes
+    durationStyle: 'clock', // see durationStyles
+    prefix: '', // spoken before the text in the announce modes
+    debounce: 1500, // ms to wait for further edits before announcing text
+    phaseTemplates: { warning: 'Warning', danger: 'Danger', overtime: 'Time is up' }, // main timer only, empty to stay silent
+    scope: 'current', // see fieldScopes
+    events: '', // comma separated event ids or cues for the 'selected' scope
+    overrides: {}, // event id -> { callouts, muted } replacing the field settings for that event
+    condition: '', // expression that must hold for the field to speak, see buildRuleContext
+    pronunciations: [], // { match, say, regex } applied before the global dictionary
+    visual: 'off', // see visualModes
+    earcons: {
+      tickBelow: 0, // tick every second at or below this many seconds, 0 for no ticks
+      tones: false, // tones as the countdown enters warning, danger and zero
+      chime: false, // chime before each spoken announcement
+      speak: true, // speak the callouts, off for earcons only
+    },
+  };
+}
+
+/**
+ * Default global settings
+ */
+function createDefaultSettings() {
+  return {
+    preemption: true, // higher priority utterances interrupt the current one
+    maxLatency: 3000, // ms an utterance may wait in the queue, 0 to wait forever
+    httpEndpoint: '', // synthesis URL used by the HTTP engine
+    httpTimeout: 4000, // ms before the HTTP engine gives up and falls back to Web Speech
+    httpSsml: false, // the HTTP engine endpoint accepts SSML
+    pronunciations: [], // global dictionary of { match, say, regex }, see applyPronunciations
+    masterVolume: 1,
+    outputDevice: '', // sinkId for Web Audio output, empty for the system default
+    staleTimeout: 5, // seconds without runtime data before warning, 0 to disable
+    staleSpeak: false, // speak the stale data warning too
+    visualStyle: 'flash', // see visualStyles
+    visualDuration: 2, // seconds a visual cue stays on screen
+    hotkeys: createDefaultHotkeys(), // action -> key combination, see formatHotkey
+    lifecycle: createDefaultLifecycle(), // transition -> { enabled, template, language, voice }
+    messages: {
+      timer: { enabled: false, template: 'Message: {text}', repeatInterval: 0, maxRepeats: 3, priority: 3, language: 'en-US', voice: '' },
+      external: { enabled: false, template: '{text}', repeatInterval: 0, maxRepeats: 3, priority: 2, language: 'en-US', voice: '' },
+    }, // repeatInterval in seconds, 0 to speak once
+    drift: {
+      enabled: false,
+      step: 60, // seconds of drift between callouts
+      hysteresis: 15, // seconds the drift must fall back past a step before it counts as left
+      minInterval: 30, // seconds between drift callouts
+      lateTemplate: 'Running {duration} late',
+      earlyTemplate: 'Running {duration} early',
+      onTimeTemplate: 'Back on schedule',
+      priority: 2,
+      language: 'en-US',
+      voice: '',
+    },
+  };
+}
+
+/**
+ * Default announcements of runtime transitions, see lifecycleTransitions
+ */
+function createDefaultLifecycle() {
+  return {
+    now: { enabled: false, template: 'Now: {title}', language: 'en-US', voice: '' },
+    next: { enabled: false, template: 'Up next: {title} at {timeStart}', language: 'en-US', voice: '' },
+    play: { enabled: false, template: 'On air', language: 'en-US', voice: '' },
+    pause: { enabled: false, template: 'Paused', language: 'en-US', voice: '' },
+    roll: { enabled: false, template: 'Roll mode', language: 'en-US', voice: '' },
+    stop: { enabled: false, template: 'Stopped', language: 'en-US', voice: '' },
+  };
+}
+
+/**
+ * Get the configuration of a field, filling in defaults for settings saved by older versions
+ */
+function getFieldConfig(fieldKey) {
+  const saved = monitoredFields.get(fieldKey) || {};
+  const config = { ...createDefaultFieldConfig(), ...saved };
+  // Older versions spoke every value at or below a single threshold
+  if (saved.callouts === undefined && saved.threshold !== undefined) {
+    config.callouts = `${saved.threshold}-1`;
+  }
+  delete config.threshold;
+  return config;
+}
+
+/**
+ * Get the languages the speech engines can speak, as language code -> name
+ * Falls back to a fixed list until an engine reports its voices
+ */
+function getSpeechLanguages() {
+  const codes = new Set(
+    [...getAvailableVoices(), ...httpVoices].map((voice) => normaliseLanguage(voice.lang)).filter(Boolean)
+  );
+  if (codes.size === 0) {
+    return { ...speechLanguages };
+  }
+  let names = null;
+  try {
+    names = new Intl.DisplayNames(['en'], { type: 'language' });
+  } catch (error) {
+    // Older browsers show the codes only
+  }
+  const languages = {};
+  Array.from(codes).forEach((code) => {
+    languages[code] = speechLanguages[code] || names?.of(code) || code;
+  });
+  return languages;
+}
+
+/**
+ * Normalise a voice language such as "en_US" to a BCP 47 tag
+ */
+function normaliseLanguage(lang) {
+  return (lang || '').replace(/_/g, '-');
+}
+
+/**
+ * Render the language options of a select, sorted by name
+ * A selected language no engine speaks any more stays listed, so it is not lost
+ */
+function renderLanguageOptions(selected) {
+  const languages = getSpeechLanguages();
+  if (selected && !languages[selected]) {
+    languages[selected] = `${speechLanguages[selected] || selected} (no voices)`;
+  }
+  return Object.entries(languages)
+    .sort(([, a], [, b]) => a.localeCompare(b))
+    .map(([code, name]) => `<option value="${code}" ${selected === code ? 'selected' : ''}>${escapeAttribute(name)}</option>`)
+    .join('');
+}
+
+/**
+ * Refresh every language select with the languages the engines report, then their voices
+ */
+function populateLanguageOptions() {
+  document.querySelectorAll('.language-select').forEach((select) => {
+    select.innerHTML = renderLanguageOptions(select.value);
+  });
+  populateVoiceOptions();
+}
+
+/**
+ * Describe a stereo pan position, e.g. "L50" or "C"
+ */
+function formatPan(pan) {
+  if (Math.abs(pan) < 0.05) {
+    return 'C';
+  }
+  return `${pan < 0 ? 'L' : 'R'}${Math.round(Math.abs(pan) * 100)}`;
+}
+
+/**
+ * Escape a value for use inside a double-quoted HTML attribute
+ */
+function escapeAttribute(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;');
+}
+
+/**
+ * Populate add field dropdown
+ */
+function populateAddFieldDropdown() {
+  const select = document.getElementById('add-field-select');
+  if (!select) {
+    console.error('Add field select element not found');
+    return;
+  }
+
+  const textFields = Object.entries(customFields).filter(([key, field]) => 
+    field.type === 'text' && !monitoredFields.has(key)
+  );
+  const sources = Object.entries(builtInSources).filter(([key]) => !monitoredFields.has(key));
+
+  console.log('Populating dropdown. Available text fields:', textFields.length);
+  console.log('All custom fields:', Object.keys(customFields));
+  console.log('Monitored fields:', Array.from(monitoredFields.keys()));
+
+  select.innerHTML = '<option value="">Select a field to add...</option>';
+  [['Ontime', sources], ['Custom fields', textFields]].forEach(([groupLabel, entries]) => {
+    if (entries.length === 0) {
+      return;
+    }
+    const group = document.createElement('optgroup');
+    group.label = groupLabel;
+    entries.forEach(([key, field]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = field.label;
+      group.appendChild(option);
+    });
+    select.appendChild(group);
+  });
+
+  const addBtn = document.getElementById('add-field-btn');
+  if (addBtn) {
+    addBtn.disabled = textFields.length + sources.length === 0;
+  }
+  
+  if (textFields.length === 0 && Object.keys(customFields).length > 0) {
+    console.log('No text fields available. All fields are already monitored or not text type.');
+  }
+}
+
+/**
+ * Render fields configuration UI
+ */
+function renderFieldsConfiguration() {
+  const container = document.getElementById('fields-container');
+  const textFields = Object.entries(customFields).filter(([_, field]) => field.type === 'text');
+
+  // Only show fields that are being monitored
+  const fieldsToShow = getMonitoredSources();
+
+  if (fieldsToShow.length === 0) {
+    container.innerHTML = (textFields.length === 0
+      ? '<p class="info-text">No text custom fields found. Create some in Ontime settings first, or add the main timer.</p>'
+      : '<p class="info-text">No fields configured. Use "Add Field" to start monitoring.</p>') + renderMissingFields();
+    populateAddFieldDropdown();
+    return;
+  }
+
+  let html = '';
+  fieldsToShow.forEach(([key, field], index) => {
+    const config = getFieldConfig(key);
+
+    html += `
+      <div class="field-row" data-field-key="${key}">
+        <div class="field-row-header">
+          <div class="field-row-title">
+            <span class="field-number" title="Field number for hotkeys">${index + 1}</span>
+            <div class="field-color" style="background-color: ${field.colour}"></div>
+            <span>${field.label}</span>
+          </div>
+          <div class="field-row-controls">
+            <label>
+              <input type="checkbox" class="field-enabled" data-field-key="${key}" ${config.enabled ? 'checked' : ''} />
+              Enable
+            </label>
+            <label>
+              <input type="checkbox" class="field-muted" data-field-key="${key}" ${config.muted ? 'checked' : ''} />
+              Mute
+            </label>
+            <button class="btn btn-danger remove-field-btn" data-field-key="${key}">Remove</button>
+          </div>
+        </div>
+        <div class="field-row-fields">
+          ${field.type === 'text' ? `
+          <div class="field-input-group">
+            <label>Mode</label>
+            <select class="field-mode" data-field-key="${key}">
+              ${Object.entries(fieldModes).map(([mode, name]) =>
+                `<option value="${mode}" ${config.mode === mode ? 'selected' : ''}>${name}</option>`
+              ).join('')}
+            </select>
+          </div>` : ''}
+          <div class="field-input-group">
+            <label>Applies to</label>
+            <select class="field-scope" data-field-key="${key}">
+              ${Object.entries(fieldScopes).filter(([scope]) => key !== mainTimerKey || scope !== 'next').map(([scope, name]) =>
+                `<option value="${scope}" ${config.scope === scope ? 'selected' : ''}>${name}</option>`
+              ).join('')}
+            </select>
+          </div>
+          ${config.scope === 'selected' ? `
+          <div class="field-input-group">
+            <label>Events (cues or ids)</label>
+            <input type="text" class="field-events" data-field-key="${key}" value="${escapeAttribute(config.events)}"
+                   placeholder="e.g. 1, 2, 5b" />
+          </div>` : ''}
+          <div class="field-input-group">
+            <label>Priority</label>
+            <select class="field-priority" data-field-key="${key}">
+              ${Object.entries(speechPriorities).map(([value, name]) =>
+                `<option value="${value}" ${config.priority === Number(value) ? 'selected' : ''}>${name}</option>`
+              ).join('')}
+            </select>
+          </div>
+          <div class="field-input-group">
+            <label>Visual cue</label>
+            <select class="field-visual" data-field-key="${key}">
+              ${Object.entries(visualModes).map(([mode, name]) =>
+                `<option value="${mode}" ${config.visual === mode ? 'selected' : ''}>${name}</option>`
+              ).join('')}
+            </select>
+          </div>
+          <div class="field-input-group">
+            <label>Engine</label>
+            <select class="field-engine" data-field-key="${key}">
+              ${Object.entries(ttsEngines).map(([id, engine]) =>
+                `<option value="${id}" ${config.engine === id ? 'selected' : ''}>${engine.label}</option>`
+              ).join('')}
+            </select>
+          </div>
+          ${config.engine === 'clips' ? `
+          <div class="field-input-group">
+            <label>Clip pack</label>
+            <select class="field-clip-pack" data-field-key="${key}">
+              <option value="">None</option>
+            </select>
+          </div>` : ''}
+          <div class="field-input-group">
+            <label>Language</label>
+            <select class="field-language language-select" data-field-key="${key}">
+              ${renderLanguageOptions(config.language)}
+            </select>
+          </div>
+          <div class="field-input-group">
+            <label>Voice</label>
+            <select class="field-voice" data-field-key="${key}">
+              <option value="">Default</option>
+            </select>
+          </div>
+        </div>
+        <div class="field-row-fields">
+          <div class="field-input-group">
+            <label>Gain <span class="field-gain-value">${Math.round(config.gain * 100)}%</span></label>
+            <input type="range" class="field-gain" data-field-key="${key}" min="0" max="2" step="0.05" value="${config.gain}" />
+          </div>
+          <div class="field-input-group">
+            <label>Pan <span class="field-pan-value">${formatPan(config.pan)}</span></label>
+            <input type="range" class="field-pan" data-field-key="${key}" min="-1" max="1" step="0.1" value="${config.pan}"
+                   ${config.engine === 'webspeech' ? 'disabled title="Web Speech cannot be panned"' : ''} />
+          </div>
+        </div>
+        <div class="field-row-fields">
+          <div class="field-input-group">
+            <label>Condition (empty = always)</label>
+            <div class="field-input-row">
+              <input type="text" class="field-condition" data-field-key="${key}" value="${escapeAttribute(config.condition)}"
+                     placeholder="e.g. custom.status == 'LIVE' && playback == 'play'" />
+              <button class="btn btn-secondary test-condition-btn" data-field-key="${key}">Test</button>
+            </div>
+            <span class="field-hint field-condition-result"></span>
+          </div>
+        </div>
+        ${config.mode === 'countdown' ? renderCountdownSettings(key, config) : renderAnnounceSettings(key, config)}
+        ${key === mainTimerKey ? renderTimerPhaseSettings(key, config) : ''}
+        ${renderEarconSettings(key, config)}
+        <details class="pronunciation-details">
+          <summary>Pronunciations</summary>
+          <div class="pronunciation-list" data-field-key="${key}">${renderPronunciationRows(key)}</div>
+        </details>
+      </div>
+    `;
+  });
+
+  container.innerHTML = html + renderMissingFields();
+
+  // Populate voice and clip pack options
+  populateVoiceOptions();
+  populateClipPackOptions();
+
+  // Update add field dropdown
+  populateAddFieldDropdown();
+  renderRundownTable();
+  renderHotkeySettings();
+}
+
+/**
+ * Render the fields of the profile that Ontime does not report, their settings are kept until removed
+ */
+function renderMissingFields() {
+  return Array.from(missingFields.keys()).map((key) => `
+    <div class="field-row missing" data-field-key="${escapeAttribute(key)}">
+      <div class="field-row-header">
+        <div class="field-row-title">
+          <span>${escapeAttribute(key)}</span>
+          <span class="field-hint">Missing from Ontime, settings are kept until the field is back</span>
+        </div>
+        <div class="field-row-controls">
+          <button class="btn btn-danger remove-field-btn" data-field-key="${escapeAttribute(key)}">Remove</button>
+        </div>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Get the monitored sources in the order of the configuration card, as [key, definition]
+ * The position is the field number used by hotkeys
+ */
+function getMonitoredSources() {
+  const textFields = Object.entries(customFields).filter(([_, field]) => field.type === 'text');
+  return [...Object.entries(builtInSources), ...textFields].filter(([key]) => monitoredFields.has(key));
+}
+
+/**
+ * Render the settings of a field in countdown mode
+ */
+function renderCountdownSettings(key, config) {
+  return `
+    <div class="field-row-fields">
+      <div class="field-input-group">
+        <label>Callout points (seconds)</label>
+        <input type="text" class="field-callouts" data-field-key="${key}"
+               value="${escapeAttribute(config.callouts)}" placeholder="300, 120, 60, 30, 10, 5-1" />
+        <select class="field-callout-preset" data-field-key="${key}">
+          <option value="">Presets...</option>
+          ${Object.entries(calloutPresets).map(([name, callouts]) =>
+            `<option value="${callouts}">${name} (${callouts})</option>`
+          ).join('')}
+        </select>
+      </div>
+    </div>
+    <div class="field-row-fields">
+      <div class="field-input-group">
+        <label>First announcement</label>
+        <div class="field-input-row">
+          <input type="text" class="field-template" data-field-key="${key}"
+                 value="${escapeAttribute(config.template)}" placeholder="{seconds}" />
+          <button class="btn btn-secondary preview-template-btn" data-field-key="${key}" data-template="field-template"
+                  title="Preview">&#9654;</button>
+        </div>
+      </div>
+      <div class="field-input-group">
+        <label>Repeated ticks</label>
+        <div class="field-input-row">
+          <input type="text" class="field-repeat-template" data-field-key="${key}"
+                 value="${escapeAttribute(config.repeatTemplate)}" placeholder="{seconds}" />
+          <button class="btn btn-secondary preview-template-btn" data-field-key="${key}" data-template="field-repeat-template"
+                  title="Preview">&#9654;</button>
+        </div>
+      </div>
+    </div>
+    <div class="field-row-fields">
+      <div class="field-input-group">
+        <label>Overtime (negative values)</label>
+        <select class="field-overtime" data-field-key="${key}">
+          <option value="ignore" ${config.overtime === 'ignore' ? 'selected' : ''}>Ignore</option>
+          <option value="announce" ${config.overtime === 'announce' ? 'selected' : ''}>Announce "over by N"</option>
+          <option value="count" ${config.overtime === 'count' ? 'selected' : ''}>Keep counting</option>
+        </select>
+      </div>
+      ${config.overtime === 'announce' ? `
+      <div class="field-input-group">
+        <label>Overtime announcement</label>
+        <div class="field-input-row">
+          <input type="text" class="field-overtime-template" data-field-key="${key}"
+                 value="${escapeAttribute(config.overtimeTemplate)}" placeholder="over by {overtime}" />
+          <button class="btn btn-secondary preview-template-btn" data-field-key="${key}" data-template="field-overtime-template"
+                  title="Preview">&#9654;</button>
+        </div>
+      </div>` : ''}
+    </div>
+    <div class="field-row-fields">
+      <div class="field-input-group">
+        <label>{duration} style</label>
+        <select class="field-duration-style" data-field-key="${key}">
+          ${Object.entries(durationStyles).map(([style, name]) =>
+            `<option value="${style}" ${config.durationStyle === style ? 'selected' : ''}>${name}</option>`
+          ).join('')}
+        </select>
+      </div>
+    </div>
+    <p class="field-hint">Placeholders: {label} {seconds} {minutes} {duration} {overtime} {raw} {eventTitle} {cue}</p>
+  `;
+}
+
+/**
+ * Render the earcon settings of a field, ticks and tones only apply to countdowns
+ */
+function renderEarconSettings(key, config) {
+  const earcons = config.earcons;
+  const isCountdown = config.mode === 'countdown';
+  const previews = isCountdown ? Object.keys(earconSounds) : ['chime'];
+  return `
+    <div class="field-row-fields lifecycle-row">
+      ${isCountdown ? `
+      <div class="field-input-group">
+        <label>Tick each second below (0 = off)</label>
+        <input type="number" class="field-earcon" data-field-key="${key}" data-setting="tickBelow" min="0" value="${earcons.tickBelow}" />
+      </div>
+      <label class="lifecycle-toggle">
+        <input type="checkbox" class="field-earcon" data-field-key="${key}" data-setting="tones" ${earcons.tones ? 'checked' : ''} />
+        Warning, danger and zero tones
+      </label>` : ''}
+      <label class="lifecycle-toggle">
+        <input type="checkbox" class="field-earcon" data-field-key="${key}" data-setting="chime" ${earcons.chime ? 'checked' : ''} />
+        Chime before speech
+      </label>
+      ${isCountdown ? `
+      <label class="lifecycle-toggle">
+        <input type="checkbox" class="field-earcon" data-field-key="${key}" data-setting="speak" ${earcons.speak ? 'checked' : ''} />
+        Speak callouts
+      </label>` : ''}
+      <div class="field-input-row">
+        ${previews.map((name) =>
+          `<button class="btn btn-secondary preview-earcon-btn" data-field-key="${key}" data-earcon="${name}" title="Preview">&#9654; ${name}</button>`
+        ).join('')}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render the phase announcements of the main timer
+ */
+function renderTimerPhaseSettings(key, config) {
+  return `
+    <div class="field-row-fields">
+      ${Object.entries(timerPhases).map(([phase, name]) => `
+      <div class="field-input-group">
+        <label>On entering ${name.toLowerCase()} (empty to stay silent)</label>
+        <div class="field-input-row">
+          <input type="text" class="field-phase-template" data-field-key="${key}" data-phase="${phase}"
+                 value="${escapeAttribute(config.phaseTemplates[phase])}" />
+          <button class="btn btn-secondary preview-template-btn" data-field-key="${key}" data-template="field-phase-template"
+                  title="Preview">&#9654;</button>
+        </div>
+      </div>`).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Render the settings of a field that reads its text aloud
+ */
+function renderAnnounceSettings(key, config) {
+  return `
+    <div class="field-row-fields">
+      <div class="field-input-group">
+        <label>Prefix (optional)</label>
+        <div class="field-input-row">
+          <input type="text" class="field-prefix" data-field-key="${key}"
+                 value="${escapeAttribute(config.prefix)}" placeholder="Next speaker" />
+          <button class="btn btn-secondary preview-announce-btn" data-field-key="${key}" title="Preview">&#9654;</button>
+        </div>
+      </div>
+      <div class="field-input-group">
+        <label>Debounce (ms)</label>
+        <input type="number" class="field-debounce" data-field-key="${key}" value="${config.debounce}" min="0" step="250" />
+      </div>
+    </div>
+    <p class="field-hint">${config.mode === 'change'
+      ? 'Reads the new text when the value changes in the events set under Applies to, the current event by default.'
+      : 'Reads the text when a new event starts.'} Further edits within the debounce time restart the wait.</p>
+  `;
+}
+
+/**
+ * Render the enable toggle, template and voice of each lifecycle transition
+ */
+function renderLifecycleSettings() {
+  const container = document.getElementById('lifecycle-container');
+  container.innerHTML = Object.entries(lifecycleTransitions).map(([type, name]) => {
+    const config = settings.lifecycle[type];
+    return `
+      <div class="field-row-fields lifecycle-row">
+        <label class="lifecycle-toggle">
+          <input type="checkbox" class="lifecycle-enabled" data-transition="${type}" ${config.enabled ? 'checked' : ''} />
+          ${name}
+        </label>
+        <div class="field-input-group">
+          <label>Template</label>
+          <input type="text" class="lifecycle-template" data-transition="${type}" value="${escapeAttribute(config.template)}" />
+        </div>
+        <div class="field-input-group">
+          <label>Language</label>
+          <select class="lifecycle-language language-select" data-transition="${type}">
+            ${renderLanguageOptions(config.language)}
+          </select>
+        </div>
+        <div class="field-input-group">
+          <label>Voice</label>
+          <select class="lifecycle-voice" data-transition="${type}">
+            <option value="">Default</option>
+          </select>
+        </div>
+      </div>
+    `;
+  }).join('');
+  populateVoiceOptions();
+}
+
+/**
+ * Render the rows of a pronunciation dictionary editor, the global one for an empty field key
+ */
+function renderPronunciationRows(fieldKey) {
+  const rows = getPronunciations(fieldKey).map((entry, index) => `
+    <div class="field-row-fields pronunciation-row">
+      <div class="field-input-group">
+        <label>Text</label>
+        <input type="text" class="pronunciation-setting" data-field-key="${fieldKey}" data-index="${index}" data-setting="match"
+               value="${escapeAttribute(entry.match)}" placeholder="e.g. SQL" />
+        <span class="field-hint pronunciation-error">${entry.match && !compilePronunciation(entry) ? 'Invalid regular expression' : ''}</span>
+      </div>
+      <div class="field-input-group">
+        <label>Say</label>
+        <div class="field-input-row">
+          <input type="text" class="pronunciation-setting" data-field-key="${fieldKey}" data-index="${index}" data-setting="say"
+                 value="${escapeAttribute(entry.say)}" placeholder="e.g. sequel" />
+          <button class="btn btn-secondary say-pronunciation-btn" data-field-key="${fieldKey}" data-index="${index}"
+                  title="Say it">&#9654;</button>
+          <button class="btn btn-danger remove-pronunciation-btn" data-field-key="${fieldKey}" data-index="${index}">Remove</button>
+        </div>
+      </div>
+      <label class="lifecycle-toggle">
+        <input type="checkbox" class="pronunciation-setting" data-field-key="${fieldKey}" data-index="${index}" data-setting="regex"
+               ${entry.regex ? 'checked' : ''} />
+        Regular expression
+      </label>
+    </div>
+  `).join('');
+  return `${rows}
+    <div class="actions">
+      <button class="btn btn-secondary add-pronunciation-btn" data-field-key="${fieldKey}">+ Add Pronunciation</button>
+    </div>
+  `;
+}
+
+/**
+ * Re-render a pronunciation dictionary editor after an entry was added or removed
+ */
+function refreshPronunciationEditor(fieldKey) {
+  const list = document.querySelector(`.pronunciation-list[data-field-key="${fieldKey}"]`);
+  if (list) {
+    list.innerHTML = renderPronunciationRows(fieldKey);
+  }
+}
+
+/**
+ * Render the settings of the schedule drift monitor
+ */
+function renderDriftSettings() {
+  const config = settings.drift;
+  document.getElementById('drift-container').innerHTML = `
+    <div class="field-row">
+      <div class="field-row-header">
+        <div class="field-row-title">Schedule drift</div>
+        <div class="field-row-controls">
+          <label>
+            <input type="checkbox" class="drift-setting" data-setting="enabled" ${config.enabled ? 'checked' : ''} />
+            Enable
+          </label>
+        </div>
+      </div>
+      <div class="field-row-fields">
+        <div class="field-input-group">
+          <label>Step (seconds)</label>
+          <input type="number" class="drift-setting" data-setting="step" min="1" value="${config.step}" />
+        </div>
+        <div class="field-input-group">
+          <label>Hysteresis (seconds)</label>
+          <input type="number" class="drift-setting" data-setting="hysteresis" min="0" value="${config.hysteresis}" />
+        </div>
+        <div class="field-input-group">
+          <label>Min interval (seconds)</label>
+          <input type="number" class="drift-setting" data-setting="minInterval" min="0" value="${config.minInterval}" />
+        </div>
+        <div class="field-input-group">
+          <label>Priority</label>
+          <select class="drift-setting" data-setting="priority">
+            ${Object.entries(speechPriorities).map(([value, name]) =>
+              `<option value="${value}" ${config.priority === Number(value) ? 'selected' : ''}>${name}</option>`
+            ).join('')}
+          </select>
+        </div>
+      </div>
+      <div class="field-row-fields">
+        <div class="field-input-group">
+          <label>Late</label>
+          <input type="text" class="drift-setting" data-setting="lateTemplate" value="${escapeAttribute(config.lateTemplate)}" />
+        </div>
+        <div class="field-input-group">
+          <label>Early</label>
+          <input type="text" class="drift-setting" data-setting="earlyTemplate" value="${escapeAttribute(config.earlyTemplate)}" />
+        </div>
+        <div class="field-input-group">
+          <label>Back on schedule</label>
+          <input type="text" class="drift-setting" data-setting="onTimeTemplate" value="${escapeAttribute(config.onTimeTemplate)}" />
+        </div>
+      </div>
+      <p class="field-hint">Placeholders: <code>{minutes}</code>, <code>{seconds}</code>, <code>{duration}</code>, <code>{raw}</code></p>
+      <div class="field-row-fields">
+        <div class="field-input-group">
+          <label>Language</label>
+          <select class="drift-setting language-select" data-setting="language">
+            ${renderLanguageOptions(config.language)}
+          </select>
+        </div>
+        <div class="field-input-group">
+          <label>Voice</label>
+          <select class="drift-setting drift-voice" data-setting="voice">
+            <option value="">Default</option>
+          </select>
+        </div>
+      </div>
+    </div>
+  `;
+  populateVoiceOptions();
+}
+
+/**
+ * Render the settings of each message type
+ */
+function renderMessageSettings() {
+  document.getElementById('message-container').innerHTML = Object.entries(messageTypes).map(([type, name]) => {
+    const config = settings.messages[type];
+    return `
+      <div class="field-row">
+        <div class="field-row-header">
+          <div class="field-row-title">${name}</div>
+          <div class="field-row-controls">
+            <label>
+              <input type="checkbox" class="message-setting" data-message="${type}" data-setting="enabled" ${config.enabled ? 'checked' : ''} />
+              Enable
+            </label>
+          </div>
+        </div>
+        <div class="field-row-fields">
+          <div class="field-input-group">
+            <label>Template</label>
+            <input type="text" class="message-setting" data-message="${type}" data-setting="template" value="${escapeAttribute(config.template)}" />
+          </div>
+          <div class="field-input-group">
+            <label>Repeat every (seconds, 0 = once)</label>
+            <input type="number" class="message-setting" data-message="${type}" data-setting="repeatInterval" min="0" value="${config.repeatInterval}" />
+          </div>
+          <div class="field-input-group">
+            <label>Max repeats</label>
+            <input type="number" class="message-setting" data-message="${type}" data-setting="maxRepeats" min="0" value="${config.maxRepeats}" />
+          </div>
+        </div>
+        <p class="field-hint">Placeholders: <code>{text}</code>, <code>{repeat}</code> (0 the first time)</p>
+        <div class="field-row-fields">
+          <div class="field-input-group">
+            <label>Priority</label>
+            <select class="message-setting" data-message="${type}" data-setting="priority">
+              ${Object.entries(speechPriorities).map(([value, label]) =>
+                `<option value="${value}" ${config.priority === Number(value) ? 'selected' : ''}>${label}</option>`
+              ).join('')}
+            </select>
+          </div>
+          <div class="field-input-group">
+            <label>Language</label>
+            <select class="message-setting language-select" data-message="${type}" data-setting="language">
+              ${renderLanguageOptions(config.language)}
+            </select>
+          </div>
+          <div class="field-input-group">
+            <label>Voice</label>
+            <select class="message-setting message-voice" data-message="${type}" data-setting="voice">
+              <option value="">Default</option>
+            </select>
+          </div>
+        </div>
+      </div>
+    `;
+  }).join('');
+  populateVoiceOptions();
+}
+
+/**
+ * Populate voice options for all selects
+ */
+function populateVoiceOptions() {
+  const voiceSelects = document.querySelectorAll('.field-voice, .lifecycle-voice, .drift-voice, .message-voice');
+
+  voiceSelects.forEach(select => {
+    let config;
+    if (select.classList.contains('drift-voice')) {
+      config = getDriftConfig();
+    } else if (select.dataset.message) {
+      config = getMessageConfig(select.dataset.message);
+    } else if (select.dataset.transition) {
+      config = getLifecycleConfig(select.dataset.transition);
+    } else {
+      config = getFieldConfig(select.dataset.fieldKey);
+    }
+    const langCode = config.language.split('-')[0];
+    const voices = config.engine === 'http' ? httpVoices : getAvailableVoices();
+
+    // Filter voices by language, HTTP engine voices without a language fit any
+    const filteredVoices = voices.filter(v => !v.lang || normaliseLanguage(v.lang).startsWith(langCode));
+
+    // Clear and populate
+    select.innerHTML = '<option value="">Default</option>';
+    filteredVoices.forEach(voice => {
+      const option = document.createElement('option');
+      option.value = voice.voiceURI || voice.name;
+      option.textContent = voice.lang ? `${voice.name} (${voice.lang})` : voice.name;
+      if (config.voice === option.value) {
+        option.selected = true;
+      }
+      select.appendChild(option);
+    });
+  });
+
+  // Reload languages and voices when they become available (some browsers load asynchronously)
+  if (speechSynthesis) {
+    speechSynthesis.onvoiceschanged = populateLanguageOptions;
+  }
+}
+
+/**
+ * Setup event listeners
+ */
+function setupEventListeners() {
+  // TTS enabled toggle
+  document.getElementById('tts-enabled').addEventListener('change', (e) => {
+    if (!e.target.checked) {
+      clearSpeechQueue();
+      cancelPendingAnnouncements();
+    }
+    saveConfiguration();
+    updateControlStrip();
+  });
+
+  // TTS speed slider
+  const speedSlider = document.getElementById('tts-speed');
+  const speedValue = document.getElementById('speed-value');
+  speedSlider.addEventListener('input', (e) => {
+    ttsSpeed = parseFloat(e.target.value);
+    speedValue.textContent = `${ttsSpeed.toFixed(1)}x`;
+    saveConfiguration();
+  });
+
+  // Speech queue settings
+  document.getElementById('tts-preempt').addEventListener('change', (e) => {
+    settings.preemption = e.target.checked;
+    saveConfiguration();
+  });
+  document.getElementById('tts-max-latency').addEventListener('change', (e) => {
+    settings.maxLatency = Math.max(0, parseInt(e.target.value, 10) || 0);
+    e.target.value = settings.maxLatency;
+    saveConfiguration();
+  });
+
+  // Stale data watchdog
+  document.getElementById('tts-stale-timeout').addEventListener('change', (e) => {
+    settings.staleTimeout = Math.max(0, parseInt(e.target.value, 10) || 0);
+    e.target.value = settings.staleTimeout;
+    saveConfiguration();
+  });
+  document.getElementById('tts-stale-speak').addEventListener('change', (e) => {
+    settings.staleSpeak = e.target.checked;
+    saveConfiguration();
+  });
+
+  // Visual cues
+  document.getElementById('tts-visual-style').addEventListener('change', (e) => {
+    settings.visualStyle = e.target.value;
+    saveConfiguration();
+  });
+  document.getElementById('tts-visual-duration').addEventListener('change', (e) => {
+    settings.visualDuration = Math.max(0.5, parseFloat(e.target.value) || 2);
+    e.target.value = settings.visualDuration;
+    saveConfiguration();
+  });
+
+  // Master volume and output device
+  const volumeValue = document.getElementById('volume-value');
+  document.getElementById('tts-volume').addEventListener('input', (e) => {
+    settings.masterVolume = parseFloat(e.target.value);
+    volumeValue.textContent = `${Math.round(settings.masterVolume * 100)}%`;
+    if (masterGain) {
+      masterGain.gain.value = settings.masterVolume;
+    }
+    saveConfiguration();
+  });
+
+  document.getElementById('tts-output-device').addEventListener('change', (e) => {
+    settings.outputDevice = e.target.value;
+    saveConfiguration();
+    applyOutputDevice();
+  });
+  populateOutputDevices();
+  navigator.mediaDevices?.addEventListener?.('devicechange', populateOutputDevices);
+
+  // HTTP engine endpoint
+  document.getElementById('tts-http-endpoint').addEventListener('change', (e) => {
+    settings.httpEndpoint = e.target.value.trim();
+    saveConfiguration();
+    loadHttpVoices();
+  });
+  loadHttpVoices();
+  document.getElementById('tts-http-ssml').addEventListener('change', (e) => {
+    settings.httpSsml = e.target.checked;
+    saveConfiguration();
+  });
+
+  // Pronunciation test phrase
+  document.getElementById('pronunciation-test-btn').addEventListener('click', () => {
+    sayPronunciation('', document.getElementById('pronunciation-test-text').value.trim());
+  });
+
+  // Profiles
+  document.getElementById('profile-select').addEventListener('change', (e) => {
+    switchProfile(e.target.value);
+  });
+
+  document.getElementById('profile-new-btn').addEventListener('click', () => {
+    const name = prompt('Name of the new profile (starts as a copy of the current one):')?.trim();
+    if (!name) {
+      return;
+    }
+    if (profiles[name]) {
+      showNotice(`A profile named "${name}" already exists`, 'error');
+      return;
+    }
+    profiles[name] = createProfileSnapshot();
+    switchProfile(name);
+  });
+
+  document.getElementById('profile-delete-btn').addEventListener('click', () => {
+    const names = Object.keys(profiles);
+    if (names.length < 2 || !confirm(`Delete profile "${activeProfile}"?`)) {
+      return;
+    }
+    delete profiles[activeProfile];
+    switchProfile(Object.keys(profiles)[0]);
+  });
+
+  document.getElementById('profile-export-btn').addEventListener('click', exportProfile);
+  document.getElementById('copy-link-btn').addEventListener('click', () => copyConfigurationLink(false));
+  document.getElementById('copy-kiosk-link-btn').addEventListener('click', () => copyConfigurationLink(true));
+
+  // Sign in to a password protected Ontime
+  document.getElementById('auth-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const password = document.getElementById('auth-password').value;
+    const token = document.getElementById('auth-token').value.trim();
+    if (password || token) {
+      authenticate({ password, token });
+    }
+  });
+
+  // Audio unlock, any first interaction with the page counts
+  document.getElementById('audio-status').addEventListener('click', unlockAudio);
+  document.getElementById('unlock-audio-btn').addEventListener('click', unlockAudio);
+  document.addEventListener('pointerdown', unlockAudio, { once: true });
+  document.addEventListener('keydown', unlockAudio, { once: true });
+
+  const importInput = document.getElementById('profile-import-input');
+  document.getElementById('profile-import-btn').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      importProfile(await file.text());
+    }
+    e.target.value = '';
+  });
+
+  // Announcement history
+  document.getElementById('history-outcome').addEventListener('change', renderHistory);
+  document.getElementById('history-search').addEventListener('input', renderHistory);
+  document.getElementById('history-export-csv-btn').addEventListener('click', () => exportHistory('csv'));
+  document.getElementById('history-export-json-btn').addEventListener('click', () => exportHistory('json'));
+  document.getElementById('history-clear-btn').addEventListener('click', () => {
+    announcementHistory = [];
+    renderHistory();
+  });
+
+  // Record and replay
+  document.getElementById('record-btn').addEventListener('click', () => {
+    if (sessionRecording) {
+      stopRecording();
+    } else {
+      startRecording();
+    }
+  });
+  const replayInput = document.getElementById('replay-input');
+  document.getElementById('replay-load-btn').addEventListener('click', () => replayInput.click());
+  replayInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      loadRecording(await file.text());
+    }
+    e.target.value = '';
+  });
+  document.getElementById('replay-play-btn').addEventListener('click', toggleReplay);
+  document.getElementById('replay-stop-btn').addEventListener('click', stopReplay);
+  document.getElementById('replay-speed').addEventListener('change', (e) => setReplaySpeed(Number(e.target.value)));
+  document.getElementById('replay-seek').addEventListener('input', (e) => {
+    const duration = Number(e.target.max);
+    document.getElementById('replay-position').textContent = `${formatClock(Number(e.target.value) / 1000)} / ${formatClock(duration / 1000)}`;
+  });
+  document.getElementById('replay-seek').addEventListener('change', (e) => seekReplay(Number(e.target.value)));
+
+  // Rundown
+  document.getElementById('rundown-refresh-btn').addEventListener('click', loadRundown);
+
+  // Clip packs
+  document.getElementById('clip-pack-select').addEventListener('change', (e) => {
+    selectedClipPack = e.target.value;
+    renderClipPacks();
+  });
+
+  document.getElementById('clip-new-pack-btn').addEventListener('click', () => {
+    const nameInput = document.getElementById('clip-pack-name');
+    const name = nameInput.value.trim();
+    if (!name) {
+      return;
+    }
+    const pack = { id: `pack-${Date.now()}`, name, clips: {} };
+    selectedClipPack = pack.id;
+    nameInput.value = '';
+    saveClipPack(pack).catch((error) => reportClipError('The clip pack could not be saved', error));
+  });
+
+  document.getElementById('clip-delete-pack-btn').addEventListener('click', () => {
+    const pack = clipPacks.get(selectedClipPack);
+    if (pack && confirm(`Delete clip pack "${pack.name}"?`)) {
+      deleteClipPack(pack.id).catch((error) => reportClipError('The clip pack could not be deleted', error));
+    }
+  });
+
+  document.getElementById('clip-upload').addEventListener('change', (e) => {
+    addClipFiles(selectedClipPack, e.target.files).catch((error) => reportClipError('The clips could not be added', error));
+    e.target.value = '';
+  });
+
+  document.getElementById('clip-record-btn').addEventListener('click', () => {
+    const token = getClipToken(document.getElementById('clip-record-token').value);
+    toggleClipRecording(selectedClipPack, token);
+  });
+
+  document.getElementById('clip-list').addEventListener('click', (e) => {
+    const token = e.target.dataset.token;
+    const pack = clipPacks.get(selectedClipPack);
+    if (!token || !pack) {
+      return;
+    }
+    if (e.target.classList.contains('play-clip-btn')) {
+      const buffer = decodedClips.get(pack.id)?.get(token);
+      if (buffer) {
+        playAudioBuffers([buffer]);
+      }
+    }
+    if (e.target.classList.contains('delete-clip-btn')) {
+      delete pack.clips[token];
+      saveClipPack(pack).catch((error) => reportClipError('The clip could not be deleted', error));
+    }
+  });
+
+  // Field enabled toggles
+  document.addEventListener('change', (e) => {
+    if (e.target.classList.contains('field-enabled')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.enabled = e.target.checked;
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+      updateMonitoringDisplay();
+    }
+
+    if (e.target.classList.contains('field-callouts')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.callouts = e.target.value.trim();
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+      updateMonitoringDisplay();
+      renderRundownTable();
+    }
+
+    if (e.target.classList.contains('field-callout-preset') && e.target.value) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.callouts = e.target.value;
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+      e.target.parentElement.querySelector('.field-callouts').value = config.callouts;
+      e.target.value = '';
+      updateMonitoringDisplay();
+    }
+
+    if (e.target.classList.contains('field-muted')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.muted = e.target.checked;
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+    }
+
+    if (e.target.classList.contains('field-condition')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.condition = e.target.value.trim();
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+      const result = e.target.closest('.field-input-group').querySelector('.field-condition-result');
+      try {
+        parseCondition(config.condition || 'true');
+        result.textContent = '';
+      } catch (error) {
+        result.textContent = `Invalid condition: ${error.message}`;
+      }
+    }
+
+    if (e.target.classList.contains('field-scope')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.scope = e.target.value;
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+      renderFieldsConfiguration(); // Show or hide the event selection
+    }
+
+    if (e.target.classList.contains('field-events')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.events = e.target.value.trim();
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+      renderRundownTable();
+    }
+
+    if (e.target.classList.contains('rundown-callouts') || e.target.classList.contains('rundown-muted')) {
+      const { fieldKey, eventId } = e.target.dataset;
+      const config = getFieldConfig(fieldKey);
+      const override = { ...config.overrides[eventId] };
+      if (e.target.classList.contains('rundown-muted')) {
+        override.muted = e.target.checked;
+      } else {
+        override.callouts = e.target.value.trim();
+      }
+      // Drop settings that do not differ from the field, so the event follows later changes
+      if (!override.muted) {
+        delete override.muted;
+      }
+      if (!override.callouts) {
+        delete override.callouts;
+      }
+      config.overrides = { ...config.overrides, [eventId]: override };
+      if (Object.keys(override).length === 0) {
+        delete config.overrides[eventId];
+      }
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+      e.target.closest('.rundown-cell').classList.toggle('overridden', Object.keys(override).length > 0);
+      updateMonitoringDisplay();
+    }
+
+    if (e.target.classList.contains('field-duration-style')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.durationStyle = e.target.value;
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+    }
+
+    if (e.target.classList.contains('field-mode')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.mode = e.target.value;
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+      renderFieldsConfiguration(); // Show the settings of the new mode
+      updateMonitoringDisplay();
+    }
+
+    if (e.target.classList.contains('field-prefix')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.prefix = e.target.value;
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+    }
+
+    if (e.target.classList.contains('field-debounce')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.debounce = Math.max(0, parseInt(e.target.value, 10) || 0);
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+    }
+
+    if (e.target.classList.contains('field-priority')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.priority = parseInt(e.target.value, 10);
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+    }
+
+    if (e.target.classList.contains('field-engine')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.engine = e.target.value;
+      config.voice = ''; // Voices differ between engines
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+      renderFieldsConfiguration(); // Show or hide engine specific settings
+    }
+
+    if (e.target.classList.contains('field-clip-pack')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.clipPack = e.target.value;
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+    }
+
+    if (e.target.classList.contains('field-language')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.language = e.target.value;
+      config.voice = ''; // Clear voice when language changes
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+      populateVoiceOptions(); // Reload voices for new language
+    }
+
+    if (e.target.classList.contains('field-voice')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.voice = e.target.value;
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+    }
+
+    if (e.target.classList.contains('field-template')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.template = e.target.value;
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+    }
+
+    if (e.target.classList.contains('field-overtime')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.overtime = e.target.value;
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+      renderFieldsConfiguration(); // Show or hide the overtime template
+    }
+
+    if (e.target.classList.contains('field-overtime-template')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.overtimeTemplate = e.target.value;
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+    }
+
+    if (e.target.classList.contains('field-visual')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.visual = e.target.value;
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+    }
+
+    if (e.target.classList.contains('field-earcon')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      const value = e.target.type === 'checkbox' ? e.target.checked : Math.max(0, parseInt(e.target.value, 10) || 0);
+      config.earcons = { ...config.earcons, [e.target.dataset.setting]: value };
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+    }
+
+    if (e.target.classList.contains('pronunciation-setting')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const index = Number(e.target.dataset.index);
+      const name = e.target.dataset.setting;
+      const entries = [...getPronunciations(fieldKey)];
+      entries[index] = { ...entries[index], [name]: e.target.type === 'checkbox' ? e.target.checked : e.target.value };
+      setPronunciations(fieldKey, entries);
+      const error = e.target.closest('.pronunciation-row').querySelector('.pronunciation-error');
+      error.textContent = entries[index].match && !compilePronunciation(entries[index]) ? 'Invalid regular expression' : '';
+    }
+
+    if (e.target.classList.contains('drift-setting')) {
+      const name = e.target.dataset.setting;
+      let value = e.target.value;
+      if (e.target.type === 'checkbox') {
+        value = e.target.checked;
+      } else if (e.target.type === 'number' || name === 'priority') {
+        value = Math.max(name === 'step' ? 1 : 0, parseInt(value, 10) || 0);
+      }
+      settings.drift = { ...settings.drift, [name]: value };
+      if (name === 'language') {
+        settings.drift.voice = '';
+        populateVoiceOptions();
+      }
+      if (name === 'enabled') {
+        updateMonitoringDisplay();
+      }
+      saveConfiguration();
+    }
+
+    if (e.target.classList.contains('message-setting')) {
+      const type = e.target.dataset.message;
+      const name = e.target.dataset.setting;
+      let value = e.target.value;
+      if (e.target.type === 'checkbox') {
+        value = e.target.checked;
+      } else if (e.target.type === 'number' || name === 'priority') {
+        value = Math.max(0, parseInt(value, 10) || 0);
+      }
+      settings.messages = { ...settings.messages, [type]: { ...settings.messages[type], [name]: value } };
+      if (name === 'language') {
+        settings.messages[type].voice = '';
+        populateVoiceOptions();
+      }
+      saveConfiguration();
+    }
+
+    if (e.target.dataset.transition) {
+      const type = e.target.dataset.transition;
+      const config = { ...settings.lifecycle[type] };
+      if (e.target.classList.contains('lifecycle-enabled')) {
+        config.enabled = e.target.checked;
+      } else if (e.target.classList.contains('lifecycle-template')) {
+        config.template = e.target.value;
+      } else if (e.target.classList.contains('lifecycle-language')) {
+        config.language = e.target.value;
+        config.voice = '';
+      } else if (e.target.classList.contains('lifecycle-voice')) {
+        config.voice = e.target.value;
+      }
+      settings.lifecycle = { ...settings.lifecycle, [type]: config };
+      if (e.target.classList.contains('lifecycle-language')) {
+        populateVoiceOptions();
+      }
+      saveConfiguration();
+    }
+
+    if (e.target.classList.contains('field-phase-template')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.phaseTemplates = { ...config.phaseTemplates, [e.target.dataset.phase]: e.target.value };
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+    }
+
+    if (e.target.classList.contains('field-repeat-template')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.repeatTemplate = e.target.value;
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+    }
+  });
+
+  // Field gain and pan sliders
+  document.addEventListener('input', (e) => {
+    if (e.target.classList.contains('field-gain')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.gain = parseFloat(e.target.value);
+      monitoredFields.set(fieldKey, config);
+      e.target.parentElement.querySelector('.field-gain-value').textContent = `${Math.round(config.gain * 100)}%`;
+      saveConfiguration();
+    }
+
+    if (e.target.classList.contains('field-pan')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      config.pan = parseFloat(e.target.value);
+      monitoredFields.set(fieldKey, config);
+      e.target.parentElement.querySelector('.field-pan-value').textContent = formatPan(config.pan);
+      saveConfiguration();
+    }
+  });
+
+  // Remove field and template preview buttons
+  document.addEventListener('click', (e) => {
+    if (e.target.classList.contains('preview-template-btn')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const input = e.target.parentElement.querySelector(`.${e.target.dataset.template}`);
+      previewPhrase(fieldKey, input.value, e.target.dataset.template === 'field-overtime-template');
+    }
+
+    if (e.target.classList.contains('preview-announce-btn')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const config = getFieldConfig(fieldKey);
+      const prefix = e.target.parentElement.querySelector('.field-prefix').value;
+      const sample = localData.eventNow?.custom?.[fieldKey] || getFieldDefinition(fieldKey)?.label || fieldKey;
+      speakValue(fieldKey, `${prefix} ${sample}`.trim(), config);
+    }
+
+    if (e.target.classList.contains('preview-earcon-btn')) {
+      playEarcon(e.target.dataset.earcon, getFieldConfig(e.target.dataset.fieldKey));
+    }
+
+    if (e.target.classList.contains('add-pronunciation-btn')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      setPronunciations(fieldKey, [...getPronunciations(fieldKey), { match: '', say: '', regex: false }]);
+      refreshPronunciationEditor(fieldKey);
+    }
+
+    if (e.target.classList.contains('remove-pronunciation-btn')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const index = Number(e.target.dataset.index);
+      setPronunciations(fieldKey, getPronunciations(fieldKey).filter((_, i) => i !== index));
+      refreshPronunciationEditor(fieldKey);
+    }
+
+    if (e.target.classList.contains('say-pronunciation-btn')) {
+      const entry = getPronunciations(e.target.dataset.fieldKey)[Number(e.target.dataset.index)];
+      // A regular expression is no sample of itself, so its replacement is heard instead
+      sayPronunciation(e.target.dataset.fieldKey, entry.regex ? entry.say.replace(/\$(\d+|&)/g, '') : entry.match);
+    }
+
+    if (e.target.classList.contains('replay-history-btn')) {
+      replayHistoryEntry(Number(e.target.dataset.historyId));
+    }
+
+    if (e.target.classList.contains('test-condition-btn')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      const result = e.target.closest('.field-input-group').querySelector('.field-condition-result');
+      result.textContent = describeConditionTest(fieldKey);
+    }
+
+    if (e.target.classList.contains('remove-field-btn')) {
+      const fieldKey = e.target.dataset.fieldKey;
+      monitoredFields.delete(fieldKey);
+      missingFields.delete(fieldKey);
+      previousValues.delete(fieldKey);
+      startedEvents.delete(fieldKey);
+      cancelPendingAnnouncements(fieldKey);
+      saveConfiguration();
+      renderFieldsConfiguration();
+      updateMonitoringDisplay();
+    }
+  });
+
+  // Hotkeys, a hotkey input records the next key combination instead of running it
+  document.addEventListener('keydown', (e) => {
+    if (e.target.classList?.contains('hotkey-input')) {
+      recordHotkey(e);
+      return;
+    }
+    handleHotkey(e);
+  });
+  document.getElementById('hotkey-reset-btn').addEventListener('click', () => {
+    settings.hotkeys = createDefaultHotkeys();
+    saveConfiguration();
+    renderHotkeySettings();
+  });
+  document.getElementById('strip-mute-btn').addEventListener('click', () => runHotkeyAction('mute'));
+  document.getElementById('strip-repeat-btn').addEventListener('click', () => runHotkeyAction('repeat'));
+  document.getElementById('strip-panic-btn').addEventListener('click', () => runHotkeyAction('panic'));
+
+  // Add field button
+  document.getElementById('add-field-btn').addEventListener('click', () => {
+    const select = document.getElementById('add-field-select');
+    const fieldKey = select.value;
+    if (fieldKey && getFieldDefinition(fieldKey)) {
+      const config = { ...createDefaultFieldConfig(), enabled: true };
+      monitoredFields.set(fieldKey, config);
+      saveConfiguration();
+      renderFieldsConfiguration();
+      updateMonitoringDisplay();
+      select.value = '';
+      populateAddFieldDropdown();
+    }
+  });
+
+  // Enable/disable add button based on selection
+  document.getElementById('add-field-select').addEventListener('change', (e) => {
+    document.getElementById('add-field-btn').disabled = !e.target.value;
+  });
+}
+
+/**
+ * Update monitoring display
+ */
+function updateMonitoringDisplay() {
+  const container = document.getElementById('monitoring-list');
+  const enabledFields = Array.from(monitoredFields.entries()).filter(([_, config]) => config.enabled);
+
+  if (enabledFields.length === 0 && !settings.drift.enabled) {
+    container.innerHTML = '<p class="info-text">No fields being monitored</p>';
+    return;
+  }
+
+  let html = '';
+  enabledFields.forEach(([fieldKey]) => {
+    const field = getFieldDefinition(fieldKey);
+    if (!field) return;
+
+    const eventNow = localData.eventNow;
+    const eventNext = localData.eventNext;
+    const config = getEventFieldConfig(fieldKey, eventNow);
+    const firstCallout = parseCallouts(config.callouts)[0] ?? 0;
+    let currentValue = '-';
+    let isActive = false;
+
+    // Get current value from the timer or events
+    if (fieldKey === mainTimerKey) {
+      const timer = localData.timer;
+      if (timer && typeof timer.current === 'number') {
+        currentValue = formatClock(timer.current / 1000);
+        isActive = timer.current / 1000 <= firstCallout;
+      }
+    } else if (eventNow && eventNow.custom && eventNow.custom[fieldKey]) {
+      currentValue = eventNow.custom[fieldKey];
+      const seconds = parseTimeToSeconds(currentValue);
+      if (config.mode === 'countdown' && seconds !== null && seconds <= firstCallout) {
+        isActive = true;
+      }
+    } else if (eventNext && eventNext.custom && eventNext.custom[fieldKey]) {
+      currentValue = eventNext.custom[fieldKey];
+    }
+
+    const detail = config.mode === 'countdown' ? `Callouts: ${config.callouts || '-'}` : fieldModes[config.mode];
+    html += `
+      <div class="monitoring-item ${isActive ? 'active' : ''}">
+        <div class="monitoring-item-info">
+          <div class="monitoring-item-label">${field.label}</div>
+          <div class="monitoring-item-value">Value: ${escapeAttribute(currentValue)} | ${detail}</div>
+        </div>
+      </div>
+    `;
+  });
+
+  if (settings.drift.enabled) {
+    html += renderDriftMonitor();
+  }
+
+  container.innerHTML = html;
 }
 
 /**
- * Populate add field dropdown
+ * Load the events of the rundown from the Ontime data API
  */
-function populateAddFieldDropdown() {
-  const select = document.getElementById('add-field-select');
-  if (!select) {
-    console.error('Add field select element not found');
+async function loadRundown() {
+  try {
+    const response = await fetch(withAuth(`${baseUrl}/data/rundown`), { credentials: 'include' });
+    if (isAuthFailure(response)) {
+      requireAuthentication();
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    rundown = normaliseRundown(await response.json());
+    console.log(`[TTS] Loaded rundown with ${rundown.length} events`);
+  } catch (error) {
+    console.error('Failed to load rundown:', error);
+  }
+  renderRundownTable();
+}
+
+/**
+ * Get the events of a rundown in order, skipping blocks and delays
+ * Older Ontime versions send an array, newer ones entries keyed by id with a separate order
+ */
+function normaliseRundown(data) {
+  let entries = [];
+  if (Array.isArray(data)) {
+    entries = data;
+  } else if (data && Array.isArray(data.order)) {
+    const byId = data.rundown || data.entries || {};
+    entries = data.order.map((id) => byId[id]);
+  }
+  return entries.filter((entry) => entry && entry.type === 'event');
+}
+
+/**
+ * Render the rundown table with the per-event overrides of each monitored field
+ */
+function renderRundownTable() {
+  const container = document.getElementById('rundown-table');
+  const fieldKeys = Array.from(monitoredFields.keys()).filter((key) => getFieldDefinition(key));
+
+  if (rundown.length === 0) {
+    container.innerHTML = '<p class="info-text">No events in the rundown</p>';
+    return;
+  }
+  if (fieldKeys.length === 0) {
+    container.innerHTML = '<p class="info-text">Add a field to set per-event overrides</p>';
     return;
   }
 
-  const textFields = Object.entries(customFields).filter(([key, field]) => 
-    field.type === 'text' && !monitoredFields.has(key)
-  );
+  const rows = rundown.map((event) => {
+    const cells = fieldKeys.map((fieldKey) => {
+      const config = getFieldConfig(fieldKey);
+      const override = config.overrides[event.id] || {};
+      const inScope = config.scope !== 'selected' || isEventSelected(config, event);
+      return `
+        <td class="rundown-cell ${inScope ? '' : 'out-of-scope'} ${Object.keys(override).length > 0 ? 'overridden' : ''}">
+          <input type="text" class="rundown-callouts" data-field-key="${fieldKey}" data-event-id="${escapeAttribute(event.id)}"
+                 value="${escapeAttribute(override.callouts || '')}" placeholder="${escapeAttribute(config.callouts)}"
+                 ${config.mode === 'countdown' ? '' : 'disabled'} />
+          <label>
+            <input type="checkbox" class="rundown-muted" data-field-key="${fieldKey}" data-event-id="${escapeAttribute(event.id)}"
+                   ${override.muted ? 'checked' : ''} />
+            Mute
+          </label>
+        </td>
+      `;
+    }).join('');
+    return `
+      <tr data-event-id="${escapeAttribute(event.id)}">
+        <td>${escapeAttribute(event.cue ?? '')}</td>
+        <td>${escapeAttribute(event.title || '')}</td>
+        <td>${formatTimeOfDay(event.timeStart)}</td>
+        ${cells}
+      </tr>
+    `;
+  }).join('');
 
-  console.log('Populating dropdown. Available text fields:', textFields.length);
-  console.log('All custom fields:', Object.keys(customFields));
-  console.log('Monitored fields:', Array.from(monitoredFields.keys()));
+  container.innerHTML = `
+    <table class="rundown-table">
+      <thead>
+        <tr>
+          <th>Cue</th>
+          <th>Title</th>
+          <th>Start</th>
+          ${fieldKeys.map((key) => `<th>${getFieldDefinition(key).label}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+  highlightRundownRow();
+}
 
-  select.innerHTML = '<option value="">Select a field to add...</option>';
-  textFields.forEach(([key, field]) => {
+/**
+ * Mark the row of the current event in the rundown table
+ */
+function highlightRundownRow() {
+  document.querySelectorAll('.rundown-table tbody tr').forEach((row) => {
+    row.classList.toggle('current', row.dataset.eventId === localData.eventNow?.id);
+  });
+}
+
+/**
+ * Render the drift monitor entry of the monitoring panel
+ */
+function renderDriftMonitor() {
+  const offset = localData.runtime?.offset;
+  let value = '-';
+  if (typeof offset === 'number') {
+    const drift = Math.round(-offset / 1000);
+    value = drift === 0 ? 'On time' : `${formatClock(Math.abs(drift))} ${drift > 0 ? 'late' : 'early'}`;
+  }
+  return `
+    <div class="monitoring-item ${driftState.level ? 'active' : ''}">
+      <div class="monitoring-item-info">
+        <div class="monitoring-item-label">Schedule drift</div>
+        <div class="monitoring-item-value">Value: ${value} | Step: ${settings.drift.step}s</div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Save configuration to the active profile in localStorage
+ */
+function saveConfiguration() {
+  profiles[activeProfile] = createProfileSnapshot();
+  persistProfiles();
+}
+
+/**
+ * Load the active profile's fields, once custom field definitions are known
+ */
+function loadSavedConfiguration() {
+  profileFieldsRestored = true;
+  const missingKeys = applyProfileFields(profiles[activeProfile]);
+  if (missingKeys.length > 0) {
+    console.log(`[TTS] Profile "${activeProfile}" has fields missing from this project:`, missingKeys);
+  }
+}
+
+/**
+ * Capture the current configuration as a profile
+ */
+function createProfileSnapshot() {
+  // Keep the stored fields until they have been restored, otherwise they would be saved as empty
+  const fields = profileFieldsRestored ? {} : { ...profiles[activeProfile]?.fields };
+  missingFields.forEach((value, key) => {
+    fields[key] = value;
+  });
+  monitoredFields.forEach((value, key) => {
+    fields[key] = value;
+  });
+  return {
+    fields,
+    speed: ttsSpeed,
+    enabled: document.getElementById('tts-enabled').checked,
+    settings: { ...settings },
+  };
+}
+
+/**
+ * Write all profiles and the active profile name to localStorage
+ */
+function persistProfiles() {
+  localStorage.setItem('ontime-tts-profiles', JSON.stringify({ active: activeProfile, profiles }));
+}
+
+/**
+ * Load profiles from localStorage and apply the active profile's global settings
+ * Configuration saved before profiles existed becomes the "Default" profile
+ */
+function loadProfiles() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('ontime-tts-profiles') || 'null');
+    if (saved && saved.profiles && Object.keys(saved.profiles).length > 0) {
+      profiles = saved.profiles;
+      activeProfile = saved.profiles[saved.active] ? saved.active : Object.keys(saved.profiles)[0];
+    } else {
+      profiles = {
+        [activeProfile]: {
+          fields: JSON.parse(localStorage.getItem('ontime-tts-config') || '{}'),
+          speed: parseFloat(localStorage.getItem('ontime-tts-speed')) || ttsSpeed,
+          enabled: true,
+          settings: JSON.parse(localStorage.getItem('ontime-tts-settings') || '{}'),
+        },
+      };
+    }
+  } catch (error) {
+    console.error('Failed to load saved profiles:', error);
+    profiles = { [activeProfile]: createProfileSnapshot() };
+  }
+
+  // A configuration link or profile name in the URL takes precedence over saved settings
+  const linked = readLinkedProfile();
+  if (linked) {
+    const name = linked.name.trim();
+    const outputDevice = profiles[name]?.settings?.outputDevice || '';
+    profiles[name] = profileFromData(linked);
+    profiles[name].settings.outputDevice = outputDevice;
+    activeProfile = name;
+    persistProfiles();
+  } else if (profiles[urlParams.get('profile')]) {
+    activeProfile = urlParams.get('profile');
+  }
+
+  applyProfileSettings(profiles[activeProfile]);
+  renderProfileSelect();
+}
+
+/**
+ * Apply the speed, enable state and global settings of a profile
+ */
+function applyProfileSettings(profile) {
+  ttsSpeed = profile.speed ?? 1.1;
+  const defaults = createDefaultSettings();
+  settings = { ...defaults, ...profile.settings };
+  settings.drift = { ...defaults.drift, ...profile.settings?.drift };
+  settings.hotkeys = { ...defaults.hotkeys, ...profile.settings?.hotkeys };
+  settings.messages = Object.fromEntries(Object.entries(defaults.messages).map(([type, config]) =>
+    [type, { ...config, ...profile.settings?.messages?.[type] }]
+  ));
+  settings.lifecycle = Object.fromEntries(Object.entries(defaults.lifecycle).map(([type, config]) =>
+    [type, { ...config, ...profile.settings?.lifecycle?.[type] }]
+  ));
+  document.getElementById('tts-enabled').checked = profile.enabled ?? true;
+  syncSettingsControls();
+  updateControlStrip();
+  if (masterGain) {
+    masterGain.gain.value = settings.masterVolume;
+  }
+  applyOutputDevice();
+}
+
+/**
+ * Apply the field configs of a profile
+ * Returns the keys of fields that do not exist in the project
+ */
+function applyProfileFields(profile) {
+  const missingKeys = [];
+  monitoredFields = new Map();
+  missingFields = new Map();
+  Object.entries(profile.fields || {}).forEach(([key, value]) => {
+    if (getFieldDefinition(key)) {
+      monitoredFields.set(key, { ...createDefaultFieldConfig(), ...value });
+    } else {
+      // A field can be missing from a single refresh, dropping it would delete it from the profile on the next save
+      missingFields.set(key, value);
+      missingKeys.push(key);
+    }
+  });
+  renderFieldsConfiguration();
+  updateMonitoringDisplay();
+  return missingKeys;
+}
+
+/**
+ * Make another profile active
+ */
+function switchProfile(name) {
+  if (!profiles[name]) {
+    return [];
+  }
+  clearSpeechQueue();
+  activeProfile = name;
+  applyProfileSettings(profiles[name]);
+  const missingKeys = profileFieldsRestored ? applyProfileFields(profiles[name]) : [];
+  loadHttpVoices();
+  persistProfiles();
+  renderProfileSelect();
+  return missingKeys;
+}
+
+/**
+ * Update the configuration controls to match the current settings
+ */
+function syncSettingsControls() {
+  document.getElementById('tts-speed').value = ttsSpeed;
+  document.getElementById('speed-value').textContent = `${ttsSpeed.toFixed(1)}x`;
+  document.getElementById('tts-preempt').checked = settings.preemption;
+  document.getElementById('tts-max-latency').value = settings.maxLatency;
+  document.getElementById('tts-stale-timeout').value = settings.staleTimeout;
+  document.getElementById('tts-stale-speak').checked = settings.staleSpeak;
+  document.getElementById('tts-visual-style').value = settings.visualStyle;
+  document.getElementById('tts-visual-duration').value = settings.visualDuration;
+  document.getElementById('tts-volume').value = settings.masterVolume;
+  document.getElementById('volume-value').textContent = `${Math.round(settings.masterVolume * 100)}%`;
+  document.getElementById('tts-output-device').value = settings.outputDevice;
+  document.getElementById('tts-http-endpoint').value = settings.httpEndpoint;
+  document.getElementById('tts-http-ssml').checked = settings.httpSsml;
+  refreshPronunciationEditor('');
+  renderHotkeySettings();
+  renderLifecycleSettings();
+  renderDriftSettings();
+  renderMessageSettings();
+}
+
+/**
+ * Render the profile switcher in the header
+ */
+function renderProfileSelect() {
+  const select = document.getElementById('profile-select');
+  select.innerHTML = '';
+  Object.keys(profiles).forEach((name) => {
     const option = document.createElement('option');
-    option.value = key;
-    option.textContent = field.label;
+    option.value = name;
+    option.textContent = name;
+    option.selected = name === activeProfile;
     select.appendChild(option);
   });
+  document.getElementById('profile-delete-btn').disabled = Object.keys(profiles).length < 2;
+}
+
+/**
+ * Download the active profile as a JSON file
+ */
+function exportProfile() {
+  const data = { ...createProfileExport(), exportedAt: new Date().toISOString() };
+  const fileName = `ontime-tts-${activeProfile.replace(/[^\w-]+/g, '-').toLowerCase()}.json`;
+  downloadFile(fileName, JSON.stringify(data, null, 2), 'application/json');
+}
+
+/**
+ * Wrap the active profile in the versioned format used by files and links
+ */
+function createProfileExport() {
+  return {
+    schema: profileSchema,
+    version: profileSchemaVersion,
+    name: activeProfile,
+    profile: createProfileSnapshot(),
+  };
+}
+
+/**
+ * Extract the stored profile from validated profile data
+ */
+function profileFromData(data) {
+  return {
+    fields: data.profile.fields,
+    speed: data.profile.speed,
+    enabled: data.profile.enabled,
+    settings: data.profile.settings || {},
+  };
+}
+
+/**
+ * Copy a link that opens this page with the active profile
+ * Output devices differ between machines, so the selected one is left out
+ */
+async function copyConfigurationLink(kiosk) {
+  const data = createProfileExport();
+  delete data.profile.settings.outputDevice;
+
+  const url = new URL(window.location.href);
+  url.search = '';
+  if (kiosk) {
+    url.searchParams.set('kiosk', '1');
+  }
+  url.hash = new URLSearchParams({ config: encodeLinkData(data) }).toString();
+
+  try {
+    await navigator.clipboard.writeText(url.toString());
+    showNotice(`Copied ${kiosk ? 'kiosk ' : ''}link for profile "${activeProfile}"`);
+  } catch (error) {
+    prompt('Copy this link:', url.toString());
+  }
+}
+
+/**
+ * Read a profile passed in the URL hash, if any
+ */
+function readLinkedProfile() {
+  const encoded = new URLSearchParams(window.location.hash.slice(1)).get('config');
+  if (!encoded) {
+    return null;
+  }
+
+  let data;
+  try {
+    data = decodeLinkData(encoded);
+  } catch (error) {
+    console.error('Failed to decode configuration from the link:', error);
+    showNotice('The configuration in the link could not be read, using saved settings', 'error');
+    return null;
+  }
+
+  const errors = validateProfileData(data);
+  if (errors.length > 0) {
+    showNotice(`The configuration in the link is invalid: ${errors.join('; ')}`, 'error');
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Encode data as URL safe base64 JSON
+ */
+function encodeLinkData(data) {
+  const bytes = new TextEncoder().encode(JSON.stringify(data));
+  const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode data written by encodeLinkData
+ */
+function decodeLinkData(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
 
-  const addBtn = document.getElementById('add-field-btn');
-  if (addBtn) {
-    addBtn.disabled = textFields.length === 0;
-  }
-  
-  if (textFields.length === 0 && Object.keys(customFields).length > 0) {
-    console.log('No text fields available. All fields are already monitored or not text type.');
+/**
+ * Unlock audio output, must run inside a user gesture
+ */
+function unlockAudio() {
+  const context = getAudioContext();
+  // Only a context that really resumed counts, the browser may keep it suspended
+  context.resume().catch((error) => console.warn('[TTS] Audio context could not resume:', error)).finally(() => {
+    audioUnlocked = context.state === 'running';
+    updateAudioStatus();
+  });
+  // Web Speech is unlocked by speaking once from a gesture
+  if (speechSynthesis) {
+    const utterance = new SpeechSynthesisUtterance(' ');
+    utterance.volume = 0;
+    speechSynthesis.speak(utterance);
   }
+  updateAudioStatus();
 }
 
 /**
- * Render fields configuration UI
+ * Show whether the browser still blocks audio
  */
-function renderFieldsConfiguration() {
-  const container = document.getElementById('fields-container');
-  const textFields = Object.entries(customFields).filter(([_, field]) => field.type === 'text');
+function updateAudioStatus() {
+  const context = getAudioContext();
+  context.onstatechange = updateAudioStatus;
+  const locked = !audioUnlocked && context.state !== 'running';
+
+  const statusEl = document.getElementById('audio-status');
+  statusEl.textContent = locked ? 'Audio locked - click to unlock' : 'Audio ready';
+  statusEl.className = `status-badge ${locked ? 'locked' : 'connected'}`;
+  document.getElementById('unlock-overlay').hidden = !(locked && isKiosk);
+}
 
-  if (textFields.length === 0) {
-    container.innerHTML = '<p class="info-text">No text custom fields found. Create some in Ontime settings first.</p>';
+/**
+ * Import a profile from the text of an exported JSON file
+ */
+function importProfile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    showNotice(`Import failed: the file is not valid JSON (${error.message})`, 'error');
     return;
   }
 
-  // Only show fields that are being monitored
-  const monitoredKeys = Array.from(monitoredFields.keys());
-  const fieldsToShow = textFields.filter(([key]) => monitoredKeys.includes(key));
-
-  if (fieldsToShow.length === 0) {
-    container.innerHTML = '<p class="info-text">No fields configured. Use "Add Field" to start monitoring.</p>';
+  const errors = validateProfileData(data);
+  if (errors.length > 0) {
+    showNotice(`Import failed: ${errors.join('; ')}`, 'error');
     return;
   }
 
-  let html = '';
-  fieldsToShow.forEach(([key, field]) => {
-    const config = monitoredFields.get(key) || {
-      enabled: false,
-      threshold: 10,
-      voice: '',
-      language: 'en-US',
-    };
-
-    html += `
-      <div class="field-row" data-field-key="${key}">
-        <div class="field-row-header">
-          <div class="field-row-title">
-            <div class="field-color" style="background-color: ${field.colour}"></div>
-            <span>${field.label}</span>
-          </div>
-          <div class="field-row-controls">
-            <label>
-              <input type="checkbox" class="field-enabled" data-field-key="${key}" ${config.enabled ? 'checked' : ''} />
-              Enable
-            </label>
-            <button class="btn btn-danger remove-field-btn" data-field-key="${key}">Remove</button>
-          </div>
-        </div>
-        <div class="field-row-fields">
-          <div class="field-input-group">
-            <label>Threshold (seconds)</label>
-            <input type="number" class="field-threshold" data-field-key="${key}" 
-                   value="${config.threshold}" min="0" step="1" />
-          </div>
-          <div class="field-input-group">
-            <label>Language</label>
-            <select class="field-language" data-field-key="${key}">
-              <option value="en-US" ${config.language === 'en-US' ? 'selected' : ''}>English (US)</option>
-              <option value="en-GB" ${config.language === 'en-GB' ? 'selected' : ''}>English (UK)</option>
-              <option value="es-ES" ${config.language === 'es-ES' ? 'selected' : ''}>Spanish (Spain)</option>
-              <option value="es-MX" ${config.language === 'es-MX' ? 'selected' : ''}>Spanish (Mexico)</option>
-              <option value="fr-FR" ${config.language === 'fr-FR' ? 'selected' : ''}>French (France)</option>
-              <option value="de-DE" ${config.language === 'de-DE' ? 'selected' : ''}>German (Germany)</option>
-              <option value="it-IT" ${config.language === 'it-IT' ? 'selected' : ''}>Italian (Italy)</option>
-              <option value="pt-BR" ${config.language === 'pt-BR' ? 'selected' : ''}>Portuguese (Brazil)</option>
-              <option value="pt-PT" ${config.language === 'pt-PT' ? 'selected' : ''}>Portuguese (Portugal)</option>
-            </select>
-          </div>
-          <div class="field-input-group">
-            <label>Voice</label>
-            <select class="field-voice" data-field-key="${key}">
-              <option value="">Default</option>
-            </select>
-          </div>
-        </div>
-      </div>
-    `;
-  });
-
-  container.innerHTML = html;
-
-  // Populate voice options
-  populateVoiceOptions();
+  let name = data.name.trim();
+  if (profiles[name] && !confirm(`Replace the existing profile "${name}"?`)) {
+    name = getUniqueProfileName(`${name} (imported)`);
+  }
+  profiles[name] = profileFromData(data);
 
-  // Update add field dropdown
-  populateAddFieldDropdown();
+  const missingKeys = switchProfile(name);
+  if (missingKeys.length > 0) {
+    showNotice(
+      `Imported profile "${name}". These fields do not exist in this project, their settings are kept until they do: ${missingKeys.join(', ')}`,
+      'warning'
+    );
+  } else {
+    showNotice(`Imported profile "${name}"`);
+  }
 }
 
 /**
- * Populate voice options for all selects
+ * Get a profile name that is not taken yet, numbering the name when it is: "Show (imported 2)"
  */
-function populateVoiceOptions() {
-  const voices = getAvailableVoices();
-  const voiceSelects = document.querySelectorAll('.field-voice');
-
-  voiceSelects.forEach(select => {
-    const fieldKey = select.dataset.fieldKey;
-    const config = monitoredFields.get(fieldKey) || { language: 'en-US' };
-    const langCode = config.language.split('-')[0];
+function getUniqueProfileName(name) {
+  let unique = name;
+  for (let n = 2; profiles[unique]; n++) {
+    unique = name.endsWith(')') ? `${name.slice(0, -1)} ${n})` : `${name} ${n}`;
+  }
+  return unique;
+}
 
-    // Filter voices by language
-    const filteredVoices = voices.filter(v => v.lang.startsWith(langCode));
+/**
+ * Check an imported profile file against the profile schema
+ * Returns a list of problems, empty when the file is valid
+ */
+function validateProfileData(data) {
+  if (!data || typeof data !== 'object') {
+    return ['the file does not contain a profile'];
+  }
+  if (data.schema !== profileSchema) {
+    return ['the file is not an Ontime TTS profile'];
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    return ['the profile has no valid schema version'];
+  }
+  if (data.version > profileSchemaVersion) {
+    return [`the profile was made by a newer version (schema ${data.version}, supported ${profileSchemaVersion})`];
+  }
 
-    // Clear and populate
-    select.innerHTML = '<option value="">Default</option>';
-    filteredVoices.forEach(voice => {
-      const option = document.createElement('option');
-      option.value = voice.voiceURI;
-      option.textContent = `${voice.name} (${voice.lang})`;
-      if (config.voice === voice.voiceURI) {
-        option.selected = true;
+  const errors = [];
+  const profile = data.profile;
+  if (typeof data.name !== 'string' || !data.name.trim()) {
+    errors.push('the profile has no name');
+  }
+  if (!profile || typeof profile !== 'object') {
+    errors.push('the profile data is missing');
+    return errors;
+  }
+  if (!profile.fields || typeof profile.fields !== 'object' || Array.isArray(profile.fields)) {
+    errors.push('"fields" must be an object');
+  } else {
+    Object.entries(profile.fields).forEach(([key, config]) => {
+      if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        errors.push(`field "${key}" has no valid configuration`);
       }
-      select.appendChild(option);
     });
-  });
-
-  // Reload voices when they become available (some browsers load asynchronously)
-  if (speechSynthesis && speechSynthesis.onvoiceschanged) {
-    speechSynthesis.onvoiceschanged = populateVoiceOptions;
   }
+  if (typeof profile.speed !== 'number' || profile.speed < 0.5 || profile.speed > 2) {
+    errors.push('"speed" must be a number between 0.5 and 2');
+  }
+  if (typeof profile.enabled !== 'boolean') {
+    errors.push('"enabled" must be true or false');
+  }
+  if (profile.settings !== undefined && (typeof profile.settings !== 'object' || Array.isArray(profile.settings))) {
+    errors.push('"settings" must be an object');
+  }
+  return errors;
 }
 
 /**
- * Setup event listeners
+ * Default hotkeys: Alt+M mute, Alt+R repeat, Escape stop, Alt+N say field N, Alt+Shift+N toggle field N
  */
-function setupEventListeners() {
-  // TTS enabled toggle
-  document.getElementById('tts-enabled').addEventListener('change', (e) => {
-    if (!e.target.checked) {
-      speechSynthesis?.cancel();
-      isSpeaking = false;
-    }
-  });
-
-  // TTS speed slider
-  const speedSlider = document.getElementById('tts-speed');
-  const speedValue = document.getElementById('speed-value');
-  speedSlider.addEventListener('input', (e) => {
-    ttsSpeed = parseFloat(e.target.value);
-    speedValue.textContent = `${ttsSpeed.toFixed(1)}x`;
-    // Save to localStorage
-    localStorage.setItem('ontime-tts-speed', ttsSpeed.toString());
-  });
-  
-  // Load saved speed
-  const savedSpeed = localStorage.getItem('ontime-tts-speed');
-  if (savedSpeed) {
-    ttsSpeed = parseFloat(savedSpeed);
-    speedSlider.value = ttsSpeed;
-    speedValue.textContent = `${ttsSpeed.toFixed(1)}x`;
+function createDefaultHotkeys() {
+  const hotkeys = { mute: 'Alt+M', repeat: 'Alt+R', panic: 'Escape' };
+  for (let n = 1; n <= hotkeyFieldCount; n++) {
+    hotkeys[`say-${n}`] = `Alt+${n}`;
+    hotkeys[`toggle-${n}`] = `Alt+Shift+${n}`;
   }
+  return hotkeys;
+}
 
-  // Field enabled toggles
-  document.addEventListener('change', (e) => {
-    if (e.target.classList.contains('field-enabled')) {
-      const fieldKey = e.target.dataset.fieldKey;
-      const config = monitoredFields.get(fieldKey) || {
-        enabled: false,
-        threshold: 10,
-        voice: '',
-        language: 'en-US',
-      };
-      config.enabled = e.target.checked;
-      monitoredFields.set(fieldKey, config);
-      saveConfiguration();
-      updateMonitoringDisplay();
-    }
-
-    if (e.target.classList.contains('field-threshold')) {
-      const fieldKey = e.target.dataset.fieldKey;
-      const config = monitoredFields.get(fieldKey) || {
-        enabled: false,
-        threshold: 10,
-        voice: '',
-        language: 'en-US',
-      };
-      config.threshold = parseInt(e.target.value, 10) || 10;
-      monitoredFields.set(fieldKey, config);
-      saveConfiguration();
-    }
-
-    if (e.target.classList.contains('field-language')) {
-      const fieldKey = e.target.dataset.fieldKey;
-      const config = monitoredFields.get(fieldKey) || {
-        enabled: false,
-        threshold: 10,
-        voice: '',
-        language: 'en-US',
-      };
-      config.language = e.target.value;
-      config.voice = ''; // Clear voice when language changes
-      monitoredFields.set(fieldKey, config);
-      saveConfiguration();
-      populateVoiceOptions(); // Reload voices for new language
-    }
+/**
+ * Describe the key combination of a keyboard event, e.g. "Ctrl+Shift+1"
+ * Keys are named by position so Alt and Shift combinations give the same name on every layout
+ * Returns null while only modifiers are pressed
+ */
+function formatHotkey(event) {
+  if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) {
+    return null;
+  }
+  const key = event.code.replace(/^Key|^Digit/, '') || event.key;
+  const modifiers = [event.ctrlKey && 'Ctrl', event.altKey && 'Alt', event.shiftKey && 'Shift', event.metaKey && 'Meta'];
+  return [...modifiers.filter(Boolean), key].join('+');
+}
 
-    if (e.target.classList.contains('field-voice')) {
-      const fieldKey = e.target.dataset.fieldKey;
-      const config = monitoredFields.get(fieldKey) || {
-        enabled: false,
-        threshold: 10,
-        voice: '',
-        language: 'en-US',
-      };
-      config.voice = e.target.value;
-      monitoredFields.set(fieldKey, config);
-      saveConfiguration();
-    }
-  });
+/**
+ * Run the action bound to a key combination
+ * Combinations without Ctrl, Alt or Meta are left to text inputs while typing
+ */
+function handleHotkey(event) {
+  const combination = formatHotkey(event);
+  const action = combination && Object.keys(settings.hotkeys).find((name) => settings.hotkeys[name] === combination);
+  if (!action) {
+    return;
+  }
+  const isTyping = event.target.matches?.('input:not([type="checkbox"]):not([type="range"]), textarea, select');
+  if (isTyping && !event.ctrlKey && !event.altKey && !event.metaKey) {
+    return;
+  }
+  event.preventDefault();
+  runHotkeyAction(action);
+}
 
-  // Remove field buttons
-  document.addEventListener('click', (e) => {
-    if (e.target.classList.contains('remove-field-btn')) {
-      const fieldKey = e.target.dataset.fieldKey;
-      monitoredFields.delete(fieldKey);
-      previousValues.delete(fieldKey);
-      saveConfiguration();
-      renderFieldsConfiguration();
-      updateMonitoringDisplay();
+/**
+ * Bind the key combination pressed in a hotkey input to its action
+ * Backspace or Delete clears the binding, a combination bound elsewhere moves to this action
+ */
+function recordHotkey(event) {
+  if (event.key === 'Tab') {
+    return;
+  }
+  event.preventDefault();
+  const action = event.target.dataset.action;
+  const combination = ['Backspace', 'Delete'].includes(event.key) ? '' : formatHotkey(event);
+  if (combination === null) {
+    return;
+  }
+  Object.keys(settings.hotkeys).forEach((name) => {
+    if (combination && settings.hotkeys[name] === combination) {
+      settings.hotkeys[name] = '';
     }
   });
+  settings.hotkeys = { ...settings.hotkeys, [action]: combination };
+  saveConfiguration();
+  renderHotkeySettings();
+  document.querySelector(`.hotkey-input[data-action="${action}"]`)?.focus();
+}
 
-  // Add field button
-  document.getElementById('add-field-btn').addEventListener('click', () => {
-    const select = document.getElementById('add-field-select');
-    const fieldKey = select.value;
-    if (fieldKey && customFields[fieldKey]) {
-      const config = {
-        enabled: true,
-        threshold: 10,
-        voice: '',
-        language: 'en-US',
-      };
-      monitoredFields.set(fieldKey, config);
-      saveConfiguration();
-      renderFieldsConfiguration();
-      updateMonitoringDisplay();
-      select.value = '';
-      populateAddFieldDropdown();
+/**
+ * Run an operator action, from a hotkey or the control strip
+ */
+function runHotkeyAction(action) {
+  const [name, number] = action.split('-');
+  console.log(`[TTS] Hotkey action: ${action}`);
+  if (name === 'mute') {
+    const enabled = document.getElementById('tts-enabled');
+    enabled.checked = !enabled.checked;
+    enabled.dispatchEvent(new Event('change'));
+  } else if (name === 'repeat') {
+    repeatLastAnnouncement();
+  } else if (name === 'panic') {
+    panicStop();
+  } else if (name === 'say' || name === 'toggle') {
+    const [fieldKey] = getMonitoredSources()[Number(number) - 1] || [];
+    if (!fieldKey) {
+      console.log(`[TTS] No field ${number} configured`);
+    } else if (name === 'say') {
+      sayFieldNow(fieldKey);
+    } else {
+      toggleField(fieldKey);
     }
-  });
-
-  // Enable/disable add button based on selection
-  document.getElementById('add-field-select').addEventListener('change', (e) => {
-    document.getElementById('add-field-btn').disabled = !e.target.value;
-  });
+  }
 }
 
 /**
- * Update monitoring display
+ * Speak the last announcement again
  */
-function updateMonitoringDisplay() {
-  const container = document.getElementById('monitoring-list');
-  const enabledFields = Array.from(monitoredFields.entries()).filter(([_, config]) => config.enabled);
+function repeatLastAnnouncement() {
+  if (!lastSpoken || !document.getElementById('tts-enabled').checked) {
+    return;
+  }
+  speakValue(lastSpoken.fieldKey, lastSpoken.text, lastSpoken.config, `repeat-${lastSpoken.valueKey}`, lastSpoken);
+}
 
-  if (enabledFields.length === 0) {
-    container.innerHTML = '<p class="info-text">No fields being monitored</p>';
+/**
+ * Speak the current value of a field now, regardless of its callout points
+ * Countdowns use the first announcement template, the other modes the prefix and text
+ */
+function sayFieldNow(fieldKey) {
+  if (!document.getElementById('tts-enabled').checked) {
+    return;
+  }
+  const config = getFieldConfig(fieldKey);
+  const event = config.scope === 'next' ? localData.eventNext : localData.eventNow;
+  let value = event?.custom?.[fieldKey];
+  if (fieldKey === mainTimerKey && typeof localData.timer?.current === 'number') {
+    value = formatClock(localData.timer.current / 1000);
+  }
+  if (!value) {
+    console.log(`[TTS] Field ${fieldKey} has no value to say`);
     return;
   }
 
-  let html = '';
-  enabledFields.forEach(([fieldKey, config]) => {
-    const field = customFields[fieldKey];
-    if (!field) return;
+  const seconds = config.mode === 'countdown' ? parseTimeToSeconds(value) : null;
+  const text = seconds === null
+    ? `${config.prefix} ${value}`.trim()
+    : renderPhrase(config.template, buildPhraseContext(fieldKey, event, value, seconds));
+  speakValue(fieldKey, text, config, `now-${fieldKey}`, { eventId: event?.id, rawValue: value });
+}
 
-    const eventNow = localData.eventNow;
-    const eventNext = localData.eventNext;
-    let currentValue = '-';
-    let isActive = false;
+/**
+ * Enable or disable a monitored field
+ */
+function toggleField(fieldKey) {
+  const config = getFieldConfig(fieldKey);
+  config.enabled = !config.enabled;
+  monitoredFields.set(fieldKey, config);
+  saveConfiguration();
+  renderFieldsConfiguration();
+  updateMonitoringDisplay();
+  showNotice(`${getSourceLabel(fieldKey)} ${config.enabled ? 'enabled' : 'disabled'}`);
+}
 
-    // Get current value from events
-    if (eventNow && eventNow.custom && eventNow.custom[fieldKey]) {
-      currentValue = eventNow.custom[fieldKey];
-      const seconds = parseTimeToSeconds(currentValue);
-      if (seconds !== null && seconds <= config.threshold) {
-        isActive = true;
-      }
-    } else if (eventNext && eventNext.custom && eventNext.custom[fieldKey]) {
-      currentValue = eventNext.custom[fieldKey];
-    }
+/**
+ * Stop everything that is playing or waiting to be spoken, announcements still trigger afterwards
+ */
+function panicStop() {
+  clearSpeechQueue();
+  cancelPendingAnnouncements();
+  document.getElementById('visual-cue').hidden = true;
+  console.log('[TTS] Stopped all audio');
+}
 
-    html += `
-      <div class="monitoring-item ${isActive ? 'active' : ''}">
-        <div class="monitoring-item-info">
-          <div class="monitoring-item-label">${field.label}</div>
-          <div class="monitoring-item-value">Value: ${currentValue} | Threshold: ${config.threshold}s</div>
-        </div>
+/**
+ * Render the hotkey bindings of the hotkeys card
+ */
+function renderHotkeySettings() {
+  const container = document.getElementById('hotkey-list');
+  const sources = getMonitoredSources();
+  container.innerHTML = Object.entries(hotkeyActions).map(([action, name]) => {
+    const number = Number(action.split('-')[1]);
+    const field = number ? sources[number - 1]?.[1] : null;
+    return `
+      <div class="field-input-group hotkey-row">
+        <label>${name}${field ? ` (${escapeAttribute(field.label)})` : ''}</label>
+        <input type="text" class="hotkey-input" data-action="${action}" value="${escapeAttribute(settings.hotkeys[action])}"
+               placeholder="None" readonly />
       </div>
     `;
-  });
+  }).join('');
+}
 
-  container.innerHTML = html;
+/**
+ * Show the mute state and the last spoken line in the floating control strip
+ */
+function updateControlStrip() {
+  const enabled = document.getElementById('tts-enabled').checked;
+  const mute = document.getElementById('strip-mute-btn');
+  mute.textContent = enabled ? 'Live' : 'Muted';
+  mute.classList.toggle('muted', !enabled);
+  mute.title = `${enabled ? 'Mute' : 'Unmute'} (${settings.hotkeys.mute || 'no hotkey'})`;
+  document.getElementById('strip-repeat-btn').title = `Repeat last announcement (${settings.hotkeys.repeat || 'no hotkey'})`;
+  document.getElementById('strip-panic-btn').title = `Stop all audio (${settings.hotkeys.panic || 'no hotkey'})`;
+  document.getElementById('strip-last-spoken').textContent = lastSpoken
+    ? `${getSourceLabel(lastSpoken.fieldKey)}: ${lastSpoken.text}`
+    : 'Nothing spoken yet';
 }
 
 /**
- * Save configuration to localStorage
+ * Show a message at the top of the configuration card
  */
-function saveConfiguration() {
-  const config = {};
-  monitoredFields.forEach((value, key) => {
-    config[key] = value;
-  });
-  localStorage.setItem('ontime-tts-config', JSON.stringify(config));
+function showNotice(message, level = 'info') {
+  const notice = document.getElementById('config-notice');
+  notice.textContent = message;
+  notice.className = `notice ${level}`;
+  notice.hidden = false;
 }
 
 /**
- * Load saved configuration from localStorage
+ * Offer text content as a file download
  */
-function loadSavedConfiguration() {
-  try {
-    const saved = localStorage.getItem('ontime-tts-config');
-    if (saved) {
-      const config = JSON.parse(saved);
-      Object.entries(config).forEach(([key, value]) => {
-        if (customFields[key]) {
-          monitoredFields.set(key, value);
-        }
-      });
-      renderFieldsConfiguration();
-      updateMonitoringDisplay();
-    }
-  } catch (error) {
-    console.error('Failed to load saved configuration:', error);
-  }
+function downloadFile(fileName, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }